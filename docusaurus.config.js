@@ -8,10 +8,13 @@ import {themes as prismThemes} from 'prism-react-renderer';
 import fs from 'node:fs';
 import { fileURLToPath } from 'node:url';
 import remarkStripLeadingSrcPath from './src/remark/strip-leading-src-path.js';
+import productCatalogPlugin from './src/plugins/product-catalog.js';
+import { loadReposConfig } from './scripts/lib/repos-config.mjs';
+import { CURRENT_VERSION_PATH, getLastStableVersion, readProductVersions } from './scripts/lib/versions.mjs';
 
 // Load configuration from repos-config.json (new GitHub-based approach)
-const repos_config_path = new URL('./repos-config.json', import.meta.url);
-const repos_config = JSON.parse(fs.readFileSync(repos_config_path, 'utf8'));
+// Validated against repos-config.schema.json; throws with a list of every error found.
+const repos_config = loadReposConfig();
 const config_products = Array.isArray(repos_config?.products) ? repos_config.products : [];
 
 // Generate navigation items from products
@@ -33,9 +36,34 @@ const product_docs_plugins = config_products
       path: `./docs/${product.id}`,
       routeBasePath: `docs/${product.id}`,
       tagsBasePath: 'since',
+      ...getVersionOptions(product),
     },
   ]);
 
+// Versioned docs options for products with generated release versions ({id}_versions.json).
+// The newest stable release is the default; develop is served under /develop/ as unreleased.
+function getVersionOptions(product) {
+  const site_dir = fileURLToPath(new URL('.', import.meta.url));
+  const versions = readProductVersions(site_dir, product.id);
+
+  if (versions.length === 0) {
+    return {};
+  }
+
+  const last_stable = getLastStableVersion(versions);
+
+  return {
+    lastVersion: last_stable ?? 'current',
+    versions: last_stable ? {
+      current: {
+        label: `${CURRENT_VERSION_PATH} (unreleased)`,
+        path: CURRENT_VERSION_PATH,
+        banner: 'unreleased',
+      },
+    } : {},
+  };
+}
+
 /** @type {import('@docusaurus/types').Config} */
 const config = {
   title: 'GravityKit Developer Documentation',
@@ -121,6 +149,22 @@ const config = {
             position: 'left',
             items: product_nav_items,
           },
+          {
+            to: '/hooks',
+            label: 'Hook Explorer',
+            position: 'left',
+          },
+          // Version dropdown for the product being viewed; hidden for unversioned products
+          {
+            type: 'custom-productVersionDropdown',
+            position: 'right',
+          },
+          // Hook search over the prebuilt /api/hooks-search.json index (npm run llm:enhance).
+          // Works offline and alongside Algolia DocSearch when that is configured.
+          {
+            type: 'custom-hookSearch',
+            position: 'right',
+          },
         ],
       },
       footer: {
@@ -154,6 +198,10 @@ const config = {
                 label: 'Documentation',
                 href: 'https://docs.gravitykit.com',
               },
+              {
+                label: 'Documentation Coverage',
+                to: '/coverage',
+              },
             ],
           },
           {
@@ -226,7 +274,10 @@ const config = {
     }
 
     return pluginEntry;
-  }),
+  }).concat([
+    // Homepage product grid data (categories, products, hook counts) from repos-config.json
+    productCatalogPlugin,
+  ]),
 };
 
 export default config;
\ No newline at end of file
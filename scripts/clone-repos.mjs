@@ -21,6 +21,7 @@ import { spawn, spawnSync } from 'node:child_process';
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { loadReposConfig } from './lib/repos-config.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -62,20 +63,6 @@ function logStep(message) {
   log(`\n${colors.bright}▶ ${message}${colors.reset}`);
 }
 
-/**
- * Load configuration from repos-config.json
- */
-function loadConfig() {
-  const configPath = path.join(PROJECT_ROOT, 'repos-config.json');
-
-  if (!fs.existsSync(configPath)) {
-    throw new Error(`Configuration file not found: ${configPath}`);
-  }
-
-  const raw = fs.readFileSync(configPath, 'utf8');
-  return JSON.parse(raw);
-}
-
 /**
  * Check if git is available
  */
@@ -167,15 +154,58 @@ function cloneRepo(repo, targetDir, branch, authMethod) {
   });
 }
 
+/**
+ * Clone a repository pinned to a tag or commit SHA
+ *
+ * `git clone --branch` can't check out a SHA, so the repo is initialized
+ * and the single ref is fetched instead.
+ */
+function clonePinnedRepo(repo, targetDir, ref, authMethod) {
+  logInfo(`Cloning ${repo} (pinned to ${ref}) → ${path.basename(targetDir)}`);
+
+  fs.mkdirSync(targetDir, { recursive: true });
+
+  const steps = [
+    ['init', '--quiet'],
+    ['remote', 'add', 'origin', getCloneUrl(repo, authMethod)],
+    ['fetch', '--depth', '1', 'origin', ref],
+    ['checkout', '--quiet', '--detach', 'FETCH_HEAD'],
+  ];
+
+  for (const args of steps) {
+    const result = spawnSync('git', args, {
+      cwd: targetDir,
+      stdio: 'pipe',
+      encoding: 'utf8',
+      env: { ...process.env },
+    });
+
+    if (result.error || result.status !== 0) {
+      deleteDir(targetDir);
+      return {
+        ok: false,
+        repo,
+        action: 'clone_failed',
+        error: (result.stderr || result.error?.message || `git ${args[0]} failed`).trim(),
+      };
+    }
+  }
+
+  return { ok: true, repo, action: 'cloned' };
+}
+
 /**
  * Update an existing repository
+ *
+ * Pinned repos fetch their ref and check it out; others reset to origin/{branch}.
  */
-function updateRepo(repoDir, repo, branch) {
+function updateRepo(repoDir, repo, branch, ref = null) {
   return new Promise((resolve) => {
-    logInfo(`Updating ${repo} → ${path.basename(repoDir)}`);
+    logInfo(`Updating ${repo}${ref ? ` (pinned to ${ref})` : ''} → ${path.basename(repoDir)}`);
 
     // First, fetch the latest changes
-    const fetchProc = spawnSync('git', ['fetch', 'origin', branch], {
+    const fetchArgs = ref ? ['fetch', '--depth', '1', 'origin', ref] : ['fetch', 'origin', branch];
+    const fetchProc = spawnSync('git', fetchArgs, {
       cwd: repoDir,
       stdio: 'pipe',
       encoding: 'utf8',
@@ -191,8 +221,8 @@ function updateRepo(repoDir, repo, branch) {
       return;
     }
 
-    // Reset to origin/branch to ensure we have the latest
-    const resetProc = spawnSync('git', ['reset', '--hard', `origin/${branch}`], {
+    // Reset to origin/branch (or the pinned ref) to ensure we have the latest
+    const resetProc = spawnSync('git', ['reset', '--hard', ref ? 'FETCH_HEAD' : `origin/${branch}`], {
       cwd: repoDir,
       stdio: 'pipe',
       encoding: 'utf8',
@@ -220,15 +250,118 @@ function deleteDir(dir) {
   }
 }
 
+/**
+ * Whether a path is the same as or inside another
+ */
+function isSameOrInside(childPath, parentPath) {
+  const relative = path.relative(parentPath, childPath);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Copy a local directory source, leaving out VCS and dependency directories
+ *
+ * Without .git the copy is always regenerated by hooks:generate, which is
+ * what we want for a checkout that is being worked on.
+ */
+function copySource(sourcePath, targetDir, repo) {
+  logInfo(`Copying ${path.relative(PROJECT_ROOT, sourcePath) || sourcePath} → ${path.basename(targetDir)}`);
+
+  if (!fs.existsSync(sourcePath) || !fs.statSync(sourcePath).isDirectory()) {
+    return { ok: false, repo, action: 'copy_failed', error: `Source directory not found: ${sourcePath}` };
+  }
+
+  // The target is deleted before copying, which would take the source with it
+  if (isSameOrInside(sourcePath, targetDir) || isSameOrInside(targetDir, sourcePath)) {
+    return { ok: false, repo, action: 'copy_failed', error: `Source directory overlaps ${targetDir}; point source.path outside reposDir` };
+  }
+
+  const skipDirs = new Set(['.git', 'node_modules']);
+
+  try {
+    deleteDir(targetDir);
+    fs.cpSync(sourcePath, targetDir, {
+      recursive: true,
+      filter: (src) => !skipDirs.has(path.basename(src)),
+    });
+  } catch (err) {
+    return { ok: false, repo, action: 'copy_failed', error: err.message };
+  }
+
+  return { ok: true, repo, action: 'copied' };
+}
+
+/**
+ * Extract a .zip or .tar.gz archive source
+ *
+ * Plugin release archives usually contain a single top-level folder
+ * (e.g. gravityview/); its contents become the product directory.
+ */
+function extractSource(archivePath, targetDir, repo) {
+  logInfo(`Extracting ${path.basename(archivePath)} → ${path.basename(targetDir)}`);
+
+  if (!fs.existsSync(archivePath)) {
+    return { ok: false, repo, action: 'extract_failed', error: `Archive not found: ${archivePath}` };
+  }
+
+  // The target is replaced by the extracted files, which would delete an archive inside it
+  if (isSameOrInside(archivePath, targetDir)) {
+    return { ok: false, repo, action: 'extract_failed', error: `Archive is inside ${targetDir}; move it outside reposDir` };
+  }
+
+  let command;
+  if (/\.zip$/i.test(archivePath)) {
+    command = ['unzip', ['-q', archivePath, '-d']];
+  } else if (/\.(tar\.gz|tgz)$/i.test(archivePath)) {
+    command = ['tar', ['-xzf', archivePath, '-C']];
+  } else {
+    return { ok: false, repo, action: 'extract_failed', error: `Unsupported archive type: ${archivePath} (use .zip or .tar.gz)` };
+  }
+
+  const extractDir = `${targetDir}.extract`;
+  deleteDir(extractDir);
+  fs.mkdirSync(extractDir, { recursive: true });
+
+  const [bin, args] = command;
+  const result = spawnSync(bin, [...args, extractDir], { encoding: 'utf8', stdio: 'pipe' });
+
+  if (result.error || result.status !== 0) {
+    deleteDir(extractDir);
+    const error = result.error?.code === 'ENOENT'
+      ? `${bin} is not installed or not available in PATH`
+      : (result.stderr || `${bin} failed`).trim();
+    return { ok: false, repo, action: 'extract_failed', error };
+  }
+
+  const entries = fs.readdirSync(extractDir).filter((name) => name !== '__MACOSX');
+  const rootDir = entries.length === 1 && fs.statSync(path.join(extractDir, entries[0])).isDirectory()
+    ? path.join(extractDir, entries[0])
+    : extractDir;
+
+  deleteDir(targetDir);
+  fs.renameSync(rootDir, targetDir);
+  deleteDir(extractDir);
+
+  return { ok: true, repo, action: 'extracted' };
+}
+
 /**
  * Process a single product
  */
 async function processProduct(product, config, options) {
   const reposDir = path.resolve(PROJECT_ROOT, config.reposDir);
-  const branch = product.branch || config.defaults.branch || 'develop';
+  const branch = product.branch || config.defaults?.branch || 'develop';
   const repoName = product.repo.split('/')[1]; // Extract repo name from org/repo
   const targetDir = path.join(reposDir, repoName);
 
+  // Local sources are copied/extracted fresh on every run
+  if (product.source) {
+    const sourcePath = path.resolve(PROJECT_ROOT, product.source.path);
+    return product.source.type === 'archive'
+      ? extractSource(sourcePath, targetDir, product.repo)
+      : copySource(sourcePath, targetDir, product.repo);
+  }
+
   // Check if repo already exists
   const repoExists = fs.existsSync(targetDir) && fs.existsSync(path.join(targetDir, '.git'));
 
@@ -238,9 +371,11 @@ async function processProduct(product, config, options) {
   }
 
   if (!repoExists || options.force) {
-    return cloneRepo(product.repo, targetDir, branch, options.authMethod);
+    return product.ref
+      ? clonePinnedRepo(product.repo, targetDir, product.ref, options.authMethod)
+      : cloneRepo(product.repo, targetDir, branch, options.authMethod);
   } else {
-    return updateRepo(targetDir, product.repo, branch);
+    return updateRepo(targetDir, product.repo, branch, product.ref);
   }
 }
 
@@ -320,6 +455,10 @@ ${colors.cyan}Notes:${colors.reset}
   - Requires Git to be installed
   - Uses GitHub CLI (gh) if available, otherwise SSH
   - Repos are cloned with --depth 1 for faster downloads
+  - Products with a "ref" (tag or commit SHA) are pinned to it instead of
+    following their branch
+  - Products with a "source" (local directory or .zip/.tar.gz archive) are
+    copied/extracted into reposDir instead of cloned; git isn't needed for them
   - Configuration is read from repos-config.json
 `);
 }
@@ -331,7 +470,7 @@ function printProductList(products) {
   console.log(`
 ${colors.bright}Available Product IDs${colors.reset}
 
-${products.map((p) => `  ${colors.cyan}${p.id}${colors.reset} → ${p.repo}`).join('\n')}
+${products.map((p) => `  ${colors.cyan}${p.id}${colors.reset} → ${p.source ? `${p.source.path} (${p.source.type})` : p.repo}`).join('\n')}
 
 ${colors.dim}Use: npm run repos:clone -- --product <id>${colors.reset}
 `);
@@ -352,7 +491,7 @@ async function main() {
   // Load config early for --list
   let config;
   try {
-    config = loadConfig();
+    config = loadReposConfig();
   } catch (err) {
     logError(`Failed to load configuration: ${err.message}`);
     return 1;
@@ -366,35 +505,6 @@ async function main() {
   logStep('Configuration loaded');
   logSuccess(`Loaded ${config.products.length} products from repos-config.json`);
 
-  logStep('Checking prerequisites');
-
-  try {
-    checkGitAvailable();
-    logSuccess('Git is available');
-  } catch (err) {
-    logError(err.message);
-    return 1;
-  }
-
-  // Determine authentication method: token (CI) > gh CLI > SSH
-  if (checkGhTokenAvailable()) {
-    options.authMethod = 'token';
-    logSuccess('GH_TOKEN detected (using HTTPS with token auth)');
-  } else if (checkGhAvailable()) {
-    options.authMethod = 'gh';
-    logSuccess('GitHub CLI is authenticated (using HTTPS)');
-  } else {
-    options.authMethod = 'ssh';
-    logWarning('No token or GitHub CLI, using SSH authentication');
-  }
-
-  // Ensure repos directory exists
-  const reposDir = path.resolve(PROJECT_ROOT, config.reposDir);
-  if (!fs.existsSync(reposDir)) {
-    fs.mkdirSync(reposDir, { recursive: true });
-    logInfo(`Created repos directory: ${reposDir}`);
-  }
-
   // Filter products if specific one requested
   let products = config.products;
   if (options.product) {
@@ -422,6 +532,40 @@ async function main() {
     logInfo(`Selected: ${products[0].id}`);
   }
 
+  // Products with a local source don't need git or GitHub access
+  const needsGitHub = products.some((p) => !p.source);
+
+  if (needsGitHub) {
+    logStep('Checking prerequisites');
+
+    try {
+      checkGitAvailable();
+      logSuccess('Git is available');
+    } catch (err) {
+      logError(err.message);
+      return 1;
+    }
+
+    // Determine authentication method: token (CI) > gh CLI > SSH
+    if (checkGhTokenAvailable()) {
+      options.authMethod = 'token';
+      logSuccess('GH_TOKEN detected (using HTTPS with token auth)');
+    } else if (checkGhAvailable()) {
+      options.authMethod = 'gh';
+      logSuccess('GitHub CLI is authenticated (using HTTPS)');
+    } else {
+      options.authMethod = 'ssh';
+      logWarning('No token or GitHub CLI, using SSH authentication');
+    }
+  }
+
+  // Ensure repos directory exists
+  const reposDir = path.resolve(PROJECT_ROOT, config.reposDir);
+  if (!fs.existsSync(reposDir)) {
+    fs.mkdirSync(reposDir, { recursive: true });
+    logInfo(`Created repos directory: ${reposDir}`);
+  }
+
   logStep(`Processing ${products.length} repositories (parallel: ${options.parallel})`);
 
   const results = await processProductsInParallel(
@@ -436,6 +580,7 @@ async function main() {
 
   const cloned = results.filter((r) => r.ok && r.action === 'cloned');
   const updated = results.filter((r) => r.ok && r.action === 'updated');
+  const local = results.filter((r) => r.ok && (r.action === 'copied' || r.action === 'extracted'));
   const failed = results.filter((r) => !r.ok);
 
   if (cloned.length > 0) {
@@ -448,6 +593,11 @@ async function main() {
     updated.forEach((r) => console.log(`    ${r.repo}`));
   }
 
+  if (local.length > 0) {
+    logSuccess(`From local sources: ${local.length}`);
+    local.forEach((r) => console.log(`    ${r.repo} (${r.action})`));
+  }
+
   if (failed.length > 0) {
     logError(`Failed: ${failed.length}`);
     failed.forEach((r) => {
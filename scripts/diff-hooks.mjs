@@ -0,0 +1,573 @@
+#!/usr/bin/env node
+
+/**
+ * Generate Hooks Changelogs Between Two Git Refs
+ *
+ * This script runs wp-hooks-documentor against two refs of each cloned
+ * product repository (by default the latest release tag and HEAD) and
+ * reports hooks that were added, removed, renamed or had their
+ * parameters changed.
+ *
+ * Usage:
+ *   npm run hooks:diff                                # All products, latest tag → HEAD
+ *   npm run hooks:diff -- --product gravityview       # Single product (exact ID)
+ *   npm run hooks:diff -- -p gravityview --from v2.20 --to v2.21
+ *   npm run hooks:diff -- --list                      # List available product IDs
+ *
+ * Output:
+ *   - docs/{product}/changelog.md
+ *   - static/api/hooks/{product}-changes.json
+ *
+ * Prerequisites:
+ *   - Repos cloned via: npm run repos:clone
+ *   - Docs generated via: npm run hooks:generate (for the changelog page)
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseHooksDir } from './lib/hook-parser.mjs';
+import { generateDescription, toApiHook } from './lib/hook-model.mjs';
+import { loadTemplate, renderTemplate } from './lib/templates.mjs';
+import { checkWpHooksDocumentor, runWpHooksDocumentor } from './lib/wp-hooks-documentor.mjs';
+import { loadReposConfig } from './lib/repos-config.mjs';
+import { exportRef, git } from './lib/git.mjs';
+import { compareVersions, getCurrentDocsPath } from './lib/versions.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const API_HOOKS_DIR = path.join(PROJECT_ROOT, 'static', 'api', 'hooks');
+
+// ANSI color codes
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  dim: '\x1b[2m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+function log(message, color = '') {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+function logInfo(message) {
+  log(`ℹ️  ${message}`, colors.blue);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, colors.green);
+}
+
+function logWarning(message) {
+  log(`⚠️  ${message}`, colors.yellow);
+}
+
+function logError(message) {
+  log(`❌ ${message}`, colors.red);
+}
+
+function logStep(message) {
+  log(`\n${colors.bright}▶ ${message}${colors.reset}`);
+}
+
+/**
+ * Delete directory recursively
+ */
+function deleteDirRecursive(dir) {
+  if (fs.existsSync(dir)) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Find the latest stable release tag on the remote
+ *
+ * Repos are cloned with --depth 1, so tags are listed from the remote
+ * rather than from local history. Pre-release tags (beta, rc...) are ignored.
+ */
+function findLatestReleaseTag(repoDir) {
+  const result = git(['ls-remote', '--tags', '--refs', 'origin'], repoDir);
+  if (!result.ok) return null;
+
+  const tags = result.stdout
+    .split('\n')
+    .map((line) => line.split('\t')[1] || '')
+    .map((ref) => ref.replace(/^refs\/tags\//, ''))
+    .filter((tag) => /^v?\d+(\.\d+)+$/.test(tag))
+    .sort(compareVersions);
+
+  return tags.length > 0 ? tags[tags.length - 1] : null;
+}
+
+/**
+ * Extract hooks for a product at a given ref
+ */
+async function extractHooksAtRef(product, config, repoDir, ref, workDir) {
+  const sourceDir = path.join(workDir, 'source');
+  const exported = exportRef(repoDir, ref, sourceDir);
+  if (!exported.ok) return exported;
+
+  const inputDir = product.srcDir ? path.join(sourceDir, product.srcDir) : sourceDir;
+  if (!fs.existsSync(inputDir)) {
+    return { ok: false, reason: `Source directory not found at ${ref}: ${product.srcDir}` };
+  }
+
+  const result = await runWpHooksDocumentor(product, config, inputDir, workDir);
+  if (!result.ok) return result;
+
+  return {
+    ok: true,
+    sha: exported.sha,
+    hooks: parseHooksDir(result.hooksDir, product.id)
+      .map((hook) => toApiHook(hook, getCurrentDocsPath(PROJECT_ROOT, product.id))),
+  };
+}
+
+/**
+ * Reduce a parameter list to the parts that matter to callbacks
+ */
+function paramSignature(params) {
+  return params.map((p) => ({ name: p.name, type: p.type }));
+}
+
+/**
+ * Whether a parameter change can break existing callbacks
+ *
+ * Appending parameters is safe; removing, reordering or retyping is not.
+ */
+function isBreakingParamChange(before, after) {
+  return before.some((param, i) => !after[i] || after[i].name !== param.name || after[i].type !== param.type);
+}
+
+/**
+ * A hook's docblock description, or '' when the API generated one from its name
+ */
+function writtenDescription(hook) {
+  return hook.description === generateDescription(hook.name, hook.type, hook.parameters) ? '' : hook.description;
+}
+
+/**
+ * Compare the hooks found at two refs
+ */
+function diffHooks(fromHooks, toHooks) {
+  const key = (hook) => `${hook.type}:${hook.name}`;
+  const fromMap = new Map(fromHooks.map((h) => [key(h), h]));
+  const toMap = new Map(toHooks.map((h) => [key(h), h]));
+
+  let added = toHooks.filter((h) => !fromMap.has(key(h)));
+  let removed = fromHooks.filter((h) => !toMap.has(key(h)));
+  const renamed = [];
+  const changed = [];
+
+  // A removed hook is treated as renamed when an added hook of the same type
+  // is defined in the same file and keeps both its parameters and its
+  // written description. Matching parameters alone would pair any two hooks
+  // without parameters, so hooks without a description are never paired.
+  for (const oldHook of removed) {
+    const newHook = added.find((h) =>
+      h.type === oldHook.type
+      && h.source?.file
+      && h.source.file === oldHook.source?.file
+      && writtenDescription(h)
+      && writtenDescription(h) === writtenDescription(oldHook)
+      && JSON.stringify(paramSignature(h.parameters)) === JSON.stringify(paramSignature(oldHook.parameters))
+    );
+
+    if (newHook) {
+      renamed.push({ from: oldHook, to: newHook });
+      added = added.filter((h) => h !== newHook);
+    }
+  }
+  removed = removed.filter((h) => !renamed.some((r) => r.from === h));
+
+  for (const [hookKey, newHook] of toMap) {
+    const oldHook = fromMap.get(hookKey);
+    if (!oldHook) continue;
+
+    const before = paramSignature(oldHook.parameters);
+    const after = paramSignature(newHook.parameters);
+
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changed.push({
+        hook: newHook,
+        before,
+        after,
+        breaking: isBreakingParamChange(before, after),
+      });
+    }
+  }
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  added.sort(byName);
+  removed.sort(byName);
+  renamed.sort((a, b) => byName(a.from, b.from));
+  changed.sort((a, b) => byName(a.hook, b.hook));
+
+  return { added, removed, renamed, changed };
+}
+
+/**
+ * Build the JSON changes document for a product
+ */
+function buildChangesData(product, from, to, diff) {
+  const hookRef = (hook) => ({
+    name: hook.name,
+    type: hook.type,
+    since: hook.since,
+    source: hook.source,
+  });
+
+  const breaking = diff.removed.length
+    + diff.renamed.length
+    + diff.changed.filter((c) => c.breaking).length;
+
+  return {
+    generated: new Date().toISOString(),
+    product: {
+      id: product.id,
+      label: product.label,
+      repo: product.repo,
+    },
+    from,
+    to,
+    stats: {
+      added: diff.added.length,
+      removed: diff.removed.length,
+      renamed: diff.renamed.length,
+      changed: diff.changed.length,
+      breaking,
+    },
+    added: diff.added.map((h) => ({ ...hookRef(h), url: h.url })),
+    removed: diff.removed.map(hookRef),
+    renamed: diff.renamed.map((r) => ({
+      from: r.from.name,
+      to: r.to.name,
+      type: r.to.type,
+      url: r.to.url,
+    })),
+    changed: diff.changed.map((c) => ({
+      name: c.hook.name,
+      type: c.hook.type,
+      url: c.hook.url,
+      breaking: c.breaking,
+      before: c.before,
+      after: c.after,
+    })),
+  };
+}
+
+/**
+ * Render a hook name as a link to its page when that page exists
+ */
+function hookLink(hook, productDocsDir) {
+  const hookPath = path.join(productDocsDir, `${hook.type}s`, `${hook.id}.md`);
+  return fs.existsSync(hookPath)
+    ? `[\`${hook.name}\`](./${hook.type}s/${hook.id}.md)`
+    : `\`${hook.name}\``;
+}
+
+/**
+ * Format a parameter list for the changelog
+ */
+function formatParams(params) {
+  return params.length > 0 ? params.map((p) => `\`$${p.name}\``).join(', ') : '_none_';
+}
+
+/**
+ * Write the changelog page for a product
+ */
+function writeChangelogPage(product, productDocsDir, from, to, diff, breakingCount) {
+  const total = diff.added.length + diff.removed.length + diff.renamed.length + diff.changed.length;
+
+  const addedList = diff.added
+    .map((h) => `- ${hookLink(h, productDocsDir)} (${h.type})`)
+    .join('\n');
+
+  const removedList = diff.removed
+    .map((h) => `- \`${h.name}\` (${h.type})`)
+    .join('\n');
+
+  const renamedList = diff.renamed
+    .map((r) => `- \`${r.from.name}\` → ${hookLink(r.to, productDocsDir)} (${r.to.type})`)
+    .join('\n');
+
+  const changedList = diff.changed
+    .map((c) => `- ${hookLink(c.hook, productDocsDir)} (${c.hook.type}): ${formatParams(c.before)} → ${formatParams(c.after)}${c.breaking ? ' **(breaking)**' : ''}`)
+    .join('\n');
+
+  const template = loadTemplate('changelog');
+  const content = renderTemplate(template, {
+    label: product.label,
+    fromRef: from.ref,
+    toRef: to.ref,
+    addedCount: diff.added.length,
+    removedCount: diff.removed.length,
+    renamedCount: diff.renamed.length,
+    changedCount: diff.changed.length,
+    breakingCount,
+    hasBreaking: breakingCount > 0,
+    noChanges: total === 0,
+    hasAdded: diff.added.length > 0,
+    hasRemoved: diff.removed.length > 0,
+    hasRenamed: diff.renamed.length > 0,
+    hasChanged: diff.changed.length > 0,
+    addedList,
+    removedList,
+    renamedList,
+    changedList,
+  });
+
+  // Empty sections leave their blank lines behind
+  fs.writeFileSync(path.join(productDocsDir, 'changelog.md'), content.replace(/\n{3,}/g, '\n\n'));
+}
+
+/**
+ * Generate the hooks changelog for a product
+ */
+async function diffProductHooks(product, config, options) {
+  const reposDir = path.resolve(PROJECT_ROOT, config.reposDir);
+  const repoName = product.repo.split('/')[1];
+  const repoDir = path.join(reposDir, repoName);
+
+  // Local sources are copies without git history, so there are no refs to compare
+  if (product.source) {
+    logWarning(`${product.id}: built from a local ${product.source.type}, skipping (needs a git clone)`);
+    return { ok: true, id: product.id, action: 'skipped', reason: 'local source' };
+  }
+
+  if (!fs.existsSync(path.join(repoDir, '.git'))) {
+    return {
+      ok: false,
+      id: product.id,
+      reason: `Repository not cloned. Run: npm run repos:clone -- --product ${product.id}`,
+    };
+  }
+
+  const fromRef = options.from || findLatestReleaseTag(repoDir);
+  const toRef = options.to;
+
+  if (!fromRef) {
+    logWarning(`${product.id}: no release tags found, skipping`);
+    return { ok: true, id: product.id, action: 'skipped', reason: 'no release tags' };
+  }
+
+  log(`\n${colors.cyan}=== ${product.label} (${product.id}) ===${colors.reset}`);
+  logInfo(`Comparing ${fromRef} → ${toRef}`);
+
+  const workRoot = path.join(PROJECT_ROOT, '.tmp-hooks-work', 'diff', product.id);
+
+  try {
+    deleteDirRecursive(workRoot);
+
+    const fromResult = await extractHooksAtRef(product, config, repoDir, fromRef, path.join(workRoot, 'from'));
+    if (!fromResult.ok) {
+      return { ok: false, id: product.id, reason: fromResult.reason };
+    }
+
+    const toResult = await extractHooksAtRef(product, config, repoDir, toRef, path.join(workRoot, 'to'));
+    if (!toResult.ok) {
+      return { ok: false, id: product.id, reason: toResult.reason };
+    }
+
+    const from = { ref: fromRef, sha: fromResult.sha };
+    const to = { ref: toRef, sha: toResult.sha };
+    const diff = diffHooks(fromResult.hooks, toResult.hooks);
+    const changes = buildChangesData(product, from, to, diff);
+
+    fs.mkdirSync(API_HOOKS_DIR, { recursive: true });
+    fs.writeFileSync(
+      path.join(API_HOOKS_DIR, `${product.id}-changes.json`),
+      JSON.stringify(changes, null, 2)
+    );
+
+    const productDocsDir = path.resolve(PROJECT_ROOT, config.outputDir, product.id);
+    if (fs.existsSync(productDocsDir)) {
+      writeChangelogPage(product, productDocsDir, from, to, diff, changes.stats.breaking);
+    } else {
+      logWarning(`${product.id}: docs not generated, skipping changelog page`);
+    }
+
+    const { stats } = changes;
+    logSuccess(`+${stats.added} -${stats.removed} ~${stats.renamed} renamed, ${stats.changed} changed (${stats.breaking} breaking)`);
+
+    return { ok: true, id: product.id, action: 'diffed', stats };
+  } finally {
+    deleteDirRecursive(workRoot);
+  }
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(args) {
+  const options = {
+    product: null,
+    from: null,
+    to: 'HEAD',
+    help: false,
+    list: false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--product' || arg === '-p') {
+      options.product = args[++i];
+    } else if (arg === '--from') {
+      options.from = args[++i];
+    } else if (arg === '--to') {
+      options.to = args[++i];
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--list' || arg === '-l') {
+      options.list = true;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Print help message
+ */
+function printHelp() {
+  console.log(`
+${colors.bright}Generate Hooks Changelogs Between Two Git Refs${colors.reset}
+
+${colors.cyan}Usage:${colors.reset}
+  npm run hooks:diff [options]
+
+${colors.cyan}Options:${colors.reset}
+  --product, -p <id>    Diff a specific product only (exact ID match)
+  --from <ref>          Base tag, branch or SHA (default: latest release tag)
+  --to <ref>            Target tag, branch or SHA (default: HEAD)
+  --list, -l            List all available product IDs
+  --help, -h            Show this help message
+
+${colors.cyan}Examples:${colors.reset}
+  npm run hooks:diff                                    # Latest tag → HEAD for all products
+  npm run hooks:diff -- -p gravityview                  # Only GravityView
+  npm run hooks:diff -- -p gravityview --from v2.20     # Compare against a specific tag
+
+${colors.cyan}Output:${colors.reset}
+  docs/{product}/changelog.md
+  static/api/hooks/{product}-changes.json
+`);
+}
+
+/**
+ * Print list of available products
+ */
+function printProductList(products) {
+  console.log(`
+${colors.bright}Available Product IDs${colors.reset}
+
+${products.map((p) => `  ${colors.cyan}${p.id}${colors.reset} → ${p.label}`).join('\n')}
+
+${colors.dim}Use: npm run hooks:diff -- --product <id>${colors.reset}
+`);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const options = parseArgs(args);
+
+  if (options.help) {
+    printHelp();
+    return 0;
+  }
+
+  logStep('Loading configuration');
+
+  let config;
+  try {
+    config = loadReposConfig();
+    logSuccess(`Loaded ${config.products.length} products from repos-config.json`);
+  } catch (err) {
+    logError(`Failed to load configuration: ${err.message}`);
+    return 1;
+  }
+
+  if (options.list) {
+    printProductList(config.products);
+    return 0;
+  }
+
+  logStep('Checking prerequisites');
+
+  if (!checkWpHooksDocumentor()) {
+    logError('wp-hooks-documentor is not installed');
+    logInfo('Run: npm install');
+    return 1;
+  }
+  logSuccess('wp-hooks-documentor is available');
+
+  // Filter products if specific one requested
+  let products = config.products;
+  if (options.product) {
+    products = products.filter((p) => p.id === options.product);
+
+    if (products.length === 0) {
+      logError(`No product found with ID: ${options.product}`);
+      logInfo('Use --list to see all available product IDs');
+      return 1;
+    }
+  }
+
+  logStep(`Diffing hooks for ${products.length} products`);
+
+  const results = [];
+  for (const product of products) {
+    const result = await diffProductHooks(product, config, options);
+    results.push(result);
+
+    // Stop on fatal errors (like missing tool)
+    if (!result.ok && result.reason.includes('wp-hooks-documentor not found')) {
+      break;
+    }
+  }
+
+  // Print summary
+  logStep('Summary');
+
+  const diffed = results.filter((r) => r.ok && r.action === 'diffed');
+  const skipped = results.filter((r) => r.ok && r.action === 'skipped');
+  const failed = results.filter((r) => !r.ok);
+
+  if (diffed.length > 0) {
+    logSuccess(`Changelogs: ${diffed.length}`);
+    diffed.forEach((r) => {
+      const breaking = r.stats.breaking > 0 ? ` ${colors.yellow}(${r.stats.breaking} breaking)${colors.reset}` : '';
+      console.log(`    ${r.id}${breaking}`);
+    });
+  }
+
+  if (skipped.length > 0) {
+    logInfo(`Skipped: ${skipped.length}`);
+    skipped.forEach((r) => {
+      console.log(`    ${r.id}: ${r.reason}`);
+    });
+  }
+
+  if (failed.length > 0) {
+    logError(`Failed: ${failed.length}`);
+    failed.forEach((r) => {
+      console.log(`    ${r.id}: ${r.reason}`);
+    });
+    console.log('');
+    return 1;
+  }
+
+  console.log('');
+  return 0;
+}
+
+process.exit(await main());
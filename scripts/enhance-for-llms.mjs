@@ -18,15 +18,26 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { readHookModel, toApiHook } from './lib/hook-model.mjs';
+import { stripLinks } from './lib/doc-references.mjs';
+import { addCoverageEntry, COVERAGE_METRICS, measureCoverage } from './lib/coverage.mjs';
+import { buildSearchIndex } from './lib/search-index.mjs';
+import { createHookMatcher } from './lib/hook-patterns.mjs';
+import { loadReposConfig } from './lib/repos-config.mjs';
+import { getCurrentDocsPath } from './lib/versions.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const PROJECT_ROOT = path.resolve(__dirname, '..');
 
+// Coverage of earlier builds, kept with the other build caches
+const COVERAGE_HISTORY_PATH = path.join(PROJECT_ROOT, '.cache', 'coverage-history.json');
+
 // ANSI colors
 const colors = {
   reset: '\x1b[0m',
   bright: '\x1b[1m',
+  red: '\x1b[31m',
   green: '\x1b[32m',
   yellow: '\x1b[33m',
   blue: '\x1b[34m',
@@ -38,73 +49,21 @@ function log(message, color = '') {
 }
 
 /**
- * Generate a description from hook name and type when one doesn't exist
- */
-function generateDescription(hookName, hookType, params = []) {
-  // Parse the hook name to extract meaningful parts
-  const parts = hookName.split(/[/_]/).filter(Boolean);
-
-  // Build description from parts
-  const action = hookType === 'action' ? 'Fires' : 'Filters';
-  const context = parts.slice(-2).join(' ').replace(/-/g, ' ');
-
-  // Identify common patterns
-  if (hookName.includes('/before')) {
-    return `${action} before ${context.replace('before', '').trim()} processing.`;
-  }
-  if (hookName.includes('/after')) {
-    return `${action} after ${context.replace('after', '').trim()} processing.`;
-  }
-  if (hookType === 'filter' && params.length > 0) {
-    return `Filters the ${params[0].name.replace(/_/g, ' ')} value.`;
-  }
-
-  return `${action} during ${context} processing.`;
-}
-
-/**
- * Infer category/tags from hook name
+ * Split a parameter type like "array|\\WP_Post|null" into individual types
  */
-function inferCategories(hookName) {
-  const categories = [];
-  const name = hookName.toLowerCase();
-
-  // Core categories
-  if (name.includes('entry') || name.includes('entries')) categories.push('entries');
-  if (name.includes('field')) categories.push('fields');
-  if (name.includes('search') || name.includes('filter')) categories.push('search');
-  if (name.includes('template') || name.includes('render')) categories.push('rendering');
-  if (name.includes('edit')) categories.push('editing');
-  if (name.includes('view')) categories.push('views');
-  if (name.includes('form')) categories.push('forms');
-  if (name.includes('widget')) categories.push('widgets');
-  if (name.includes('export')) categories.push('export');
-  if (name.includes('import')) categories.push('import');
-  if (name.includes('calendar') || name.includes('event')) categories.push('calendar');
-  if (name.includes('chart')) categories.push('charts');
-  if (name.includes('map') || name.includes('marker')) categories.push('maps');
-  if (name.includes('board') || name.includes('card') || name.includes('lane')) categories.push('kanban');
-  if (name.includes('approval') || name.includes('approve')) categories.push('approval');
-  if (name.includes('notification') || name.includes('email')) categories.push('notifications');
-  if (name.includes('permission') || name.includes('capability') || name.includes('access')) categories.push('permissions');
-  if (name.includes('admin')) categories.push('admin');
-  if (name.includes('frontend')) categories.push('frontend');
-  if (name.includes('api') || name.includes('rest')) categories.push('api');
-  if (name.includes('shortcode')) categories.push('shortcodes');
-  if (name.includes('script') || name.includes('style') || name.includes('css')) categories.push('assets');
-  if (name.includes('cache')) categories.push('caching');
-
-  // Timing categories
-  if (name.includes('before') || name.includes('pre_')) categories.push('before');
-  if (name.includes('after') || name.includes('post_')) categories.push('after');
-
-  return categories.length > 0 ? categories : ['general'];
+function splitParamType(type) {
+  return type
+    .split(/\\?\|/)
+    .map(t => t.trim().replace(/^\\/, ''))
+    .filter(Boolean);
 }
 
 /**
  * Find related hooks based on naming patterns
+ *
+ * matchers maps each hook name to its createHookMatcher() function.
  */
-function findRelatedHooks(hookName, allHookNames) {
+function findRelatedHooks(hookName, allHookNames, matchers) {
   const related = [];
 
   // Remove before/after to find pairs
@@ -119,6 +78,12 @@ function findRelatedHooks(hookName, allHookNames) {
   for (const other of allHookNames) {
     if (other === hookName) continue;
 
+    // A concrete hook and the dynamic hook it's an instance of
+    if (matchers.get(hookName)(other) || matchers.get(other)(hookName)) {
+      related.push(other);
+      continue;
+    }
+
     const otherBase = other
       .replace(/\/before$/, '')
       .replace(/\/after$/, '')
@@ -144,149 +109,11 @@ function findRelatedHooks(hookName, allHookNames) {
   return related.slice(0, 5); // Limit to 5 related hooks
 }
 
-/**
- * Generate a usage example for JSON output
- */
-function generateExample(hookName, hookType, params = []) {
-  const paramList = params.map(p => `$${p.name}`).join(', ');
-  const paramCount = params.length;
-  const funcName = hookName.replace(/[^a-z0-9]/gi, '_');
-
-  if (hookType === 'action') {
-    return `add_action( '${hookName}', function(${paramList}) {
-    // Your code here
-}${paramCount > 0 ? `, 10, ${paramCount}` : ''} );`;
-  } else {
-    const returnVar = params[0]?.name || 'value';
-    return `add_filter( '${hookName}', function(${paramList}) {
-    // Modify $${returnVar} as needed
-    return $${returnVar};
-}${paramCount > 0 ? `, 10, ${paramCount}` : ''} );`;
-  }
-}
-
-/**
- * Parse a hook markdown file and extract metadata
- */
-function parseHookFile(filePath, productId, hookType) {
-  const content = fs.readFileSync(filePath, 'utf8');
-  const fileName = path.basename(filePath, '.md');
-
-  // Skip index files
-  if (fileName === 'index') return null;
-
-  // Extract frontmatter
-  const frontmatterMatch = content.match(/^---\n([\s\S]*?)\n---/);
-  const frontmatter = frontmatterMatch ? frontmatterMatch[1] : '';
-
-  // Parse frontmatter fields
-  const getId = () => {
-    const match = frontmatter.match(/^id:\s*(.+)$/m);
-    return match ? match[1].trim() : fileName;
-  };
-
-  const getTitle = () => {
-    const match = frontmatter.match(/^title:\s*["']?(.+?)["']?$/m);
-    return match ? match[1].trim() : fileName;
-  };
-
-  // Extract the ACTUAL hook name from the markdown heading (e.g., "# Filter: gravityview_field_output")
-  // or from the sidebar_label which contains the real hook name
-  const getActualHookName = () => {
-    // Try to get from the heading first (most reliable)
-    const headingMatch = content.match(/^# (?:Action|Filter):\s*(.+)$/m);
-    if (headingMatch) {
-      return headingMatch[1].trim();
-    }
-
-    // Fall back to sidebar_label which usually has the real name
-    const sidebarMatch = frontmatter.match(/^sidebar_label:\s*["']?(.+?)["']?$/m);
-    if (sidebarMatch) {
-      return sidebarMatch[1].trim();
-    }
-
-    // Last resort: use the id
-    return getId();
-  };
-
-  const hookName = getActualHookName();
-
-  // Extract parameters table FIRST (needed for description generation)
-  const params = [];
-  const paramsMatch = content.match(/## Parameters\n\n\|[^\n]+\n\|[^\n]+\n((?:\|[^\n]+\n)*)/);
-  if (paramsMatch) {
-    const rows = paramsMatch[1].trim().split('\n');
-    for (const row of rows) {
-      const cells = row.split('|').map(c => c.trim()).filter(Boolean);
-      if (cells.length >= 3) {
-        // Clean up parameter name: remove $, ↳ (nested indicator), and extra whitespace
-        let paramName = cells[0]
-          .replace(/^\$/, '')           // Remove leading $
-          .replace(/^↳\s*/, '')         // Remove ↳ prefix (nested param indicator)
-          .replace(/^\$/, '')           // Remove $ again if it follows ↳
-          .trim();
-
-        params.push({
-          name: paramName,
-          type: cells[1].replace(/`/g, ''),
-          description: cells[2],
-        });
-      }
-    }
-  }
-
-  // Extract description (first paragraph after the main title, before ## heading)
-  // Look for content between "# Action/Filter: hookname" and the first "## " section
-  const contentAfterFrontmatter = content.replace(/^---[\s\S]*?---\n*/, '');
-  const descMatch = contentAfterFrontmatter.match(/^# (?:Action|Filter):[^\n]+\n\n([^#`|\n][^\n]*)/);
-  let description = descMatch ? descMatch[1].trim() : '';
-
-  // If description is empty, starts with code/table markers, or is garbage, generate one
-  if (!description || description.startsWith('|') || description.startsWith('`') || description === 'Name' || description.length < 10) {
-    description = generateDescription(hookName, hookType, params);
-  }
-
-  // Generate usage example for JSON
-  const example = generateExample(hookName, hookType, params);
-
-  // Extract since version
-  const sinceMatch = content.match(/### Since\n\n-\s*(.+)/);
-  const since = sinceMatch ? sinceMatch[1].trim() : null;
-
-  // Extract source location
-  const sourceMatch = content.match(/Defined in `([^`]+)` at line (\d+)/);
-  const source = sourceMatch ? {
-    file: sourceMatch[1],
-    line: parseInt(sourceMatch[2], 10),
-  } : null;
-
-  return {
-    id: getId(),           // File ID for URL construction
-    name: hookName,        // Actual hook name (e.g., "gk/gravityactions/after_modal_render")
-    type: hookType,
-    product: productId,
-    description,
-    parameters: params,
-    categories: inferCategories(hookName),
-    example,               // Usage example code
-    since,
-    source,
-    url: `/docs/${productId}/${hookType}s/${getId()}/`,
-  };
-}
-
 /**
  * Scan all products and collect hook data
  */
-function collectAllHooks() {
+function collectAllHooks(config) {
   const docsDir = path.join(PROJECT_ROOT, 'docs');
-  const configPath = path.join(PROJECT_ROOT, 'repos-config.json');
-
-  if (!fs.existsSync(configPath)) {
-    throw new Error('repos-config.json not found');
-  }
-
-  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
   const allHooks = {
     generated: new Date().toISOString(),
     version: '1.0',
@@ -304,6 +131,9 @@ function collectAllHooks() {
     const productDir = path.join(docsDir, product.id);
     if (!fs.existsSync(productDir)) continue;
 
+    // docs/{product} is the develop version, served under /develop/ once released versions exist
+    const docsPath = getCurrentDocsPath(PROJECT_ROOT, product.id);
+
     const productHooks = {
       id: product.id,
       label: product.label,
@@ -312,32 +142,18 @@ function collectAllHooks() {
       filters: [],
     };
 
-    // Process actions
-    const actionsDir = path.join(productDir, 'actions');
-    if (fs.existsSync(actionsDir)) {
-      const files = fs.readdirSync(actionsDir).filter(f => f.endsWith('.md'));
-      for (const file of files) {
-        const hook = parseHookFile(path.join(actionsDir, file), product.id, 'action');
-        if (hook) {
-          productHooks.actions.push(hook.name);  // Use actual hook name
-          allHooks.hooks.push(hook);
-          allHooks.stats.totalActions++;
-        }
-      }
+    // Hook records saved by `npm run hooks:generate`
+    const model = readHookModel(productDir);
+    if (!model) {
+      log(`  ⚠ No hook model for ${product.id}, run: npm run hooks:generate -- --product ${product.id} --force`, colors.yellow);
+      continue;
     }
 
-    // Process filters
-    const filtersDir = path.join(productDir, 'filters');
-    if (fs.existsSync(filtersDir)) {
-      const files = fs.readdirSync(filtersDir).filter(f => f.endsWith('.md'));
-      for (const file of files) {
-        const hook = parseHookFile(path.join(filtersDir, file), product.id, 'filter');
-        if (hook) {
-          productHooks.filters.push(hook.name);  // Use actual hook name
-          allHooks.hooks.push(hook);
-          allHooks.stats.totalFilters++;
-        }
-      }
+    for (const record of model.hooks) {
+      const hook = toApiHook(record, docsPath);
+      productHooks[`${hook.type}s`].push(hook.name);  // Use actual hook name
+      allHooks.hooks.push(hook);
+      allHooks.stats[hook.type === 'action' ? 'totalActions' : 'totalFilters']++;
     }
 
     if (productHooks.actions.length > 0 || productHooks.filters.length > 0) {
@@ -348,10 +164,29 @@ function collectAllHooks() {
 
   allHooks.stats.totalHooks = allHooks.stats.totalActions + allHooks.stats.totalFilters;
 
+  // Listeners found by `npm run hooks:usage`, keyed by product, type and name
+  const listenersPath = path.join(PROJECT_ROOT, 'static', 'api', 'hooks', 'listeners.json');
+  const listenersByHook = new Map();
+  if (fs.existsSync(listenersPath)) {
+    const listenersData = JSON.parse(fs.readFileSync(listenersPath, 'utf8'));
+    for (const entry of listenersData.hooks) {
+      listenersByHook.set(`${entry.product}:${entry.type}:${entry.name}`, entry.listeners);
+    }
+  }
+
   // Second pass: Add related hooks now that we have all hook names
   const allHookNames = allHooks.hooks.map(h => h.name);
+  const matchers = new Map(allHookNames.map(name => [name, createHookMatcher(name)]));
   for (const hook of allHooks.hooks) {
-    hook.related = findRelatedHooks(hook.name, allHookNames);
+    hook.related = findRelatedHooks(hook.name, allHookNames, matchers);
+    hook.listeners = listenersByHook.get(`${hook.product}:${hook.type}:${hook.name}`) || [];
+
+    // Resolve deprecated hooks' replacements, preferring the same product
+    if (hook.replacement) {
+      const candidates = allHooks.hooks.filter(h => h.name === hook.replacement);
+      const replacementHook = candidates.find(h => h.product === hook.product) || candidates[0];
+      hook.replacementUrl = replacementHook ? replacementHook.url : null;
+    }
   }
 
   return allHooks;
@@ -363,9 +198,17 @@ function collectAllHooks() {
 async function main() {
   log('\n📚 Enhancing Documentation for LLM Consumption\n', colors.bright);
 
+  let config;
+  try {
+    config = loadReposConfig();
+  } catch (err) {
+    log(`✗ Failed to load configuration: ${err.message}`, colors.red);
+    return 1;
+  }
+
   // Step 1: Collect all hooks data
   log('▶ Collecting hooks data...', colors.cyan);
-  const hooksData = collectAllHooks();
+  const hooksData = collectAllHooks(config);
   log(`  Found ${hooksData.stats.totalHooks} hooks across ${hooksData.stats.productCount} products`, colors.green);
 
   // Step 2: Write per-product JSON files (primary method for LLMs)
@@ -394,6 +237,12 @@ async function main() {
   log(`  Created: static/api/hooks/{product}.json (${Object.keys(hooksData.products).length} files)`, colors.green);
 
   // Step 3: Create index.json with product list and stats (lightweight)
+  // Commits the docs were built from, recorded by `npm run hooks:generate`
+  const buildManifestPath = path.join(apiDir, 'build-manifest.json');
+  const builds = fs.existsSync(buildManifestPath)
+    ? JSON.parse(fs.readFileSync(buildManifestPath, 'utf8')).products
+    : {};
+
   const indexData = {
     generated: hooksData.generated,
     version: '1.0',
@@ -407,6 +256,13 @@ async function main() {
       filters: info.filters.length,
       total: info.actions.length + info.filters.length,
       url: `/api/hooks/${id}.json`,
+      ref: builds[id]?.ref,
+      sha: builds[id]?.sha ?? undefined,
+      commitDate: builds[id]?.commitDate ?? undefined,
+      // Hooks changelog from `npm run hooks:diff`, when one was generated
+      changesUrl: fs.existsSync(path.join(hooksDir, `${id}-changes.json`))
+        ? `/api/hooks/${id}-changes.json`
+        : undefined,
     })),
   };
 
@@ -427,8 +283,9 @@ async function main() {
       n: h.name,           // name
       t: h.type[0],        // type: 'a' or 'f'
       p: h.product,        // product
-      d: h.description,    // description
+      d: stripLinks(h.description), // description, links reduced to their text
       u: h.url,            // url
+      r: h.pattern?.regex, // name regex, dynamic hooks only
     })),
   };
 
@@ -436,6 +293,96 @@ async function main() {
   fs.writeFileSync(compactJsonPath, JSON.stringify(compactHooks));
   log(`  Created: static/api/hooks-compact.json`, colors.green);
 
+  // Step 6: Create the prebuilt index for the navbar hook search (works without Algolia)
+  const searchIndexPath = path.join(apiDir, 'hooks-search.json');
+  fs.writeFileSync(searchIndexPath, JSON.stringify(buildSearchIndex(hooksData)));
+  const searchSizeKB = Math.round(fs.statSync(searchIndexPath).size / 1024);
+  log(`  Created: static/api/hooks-search.json (${searchSizeKB}KB search index)`, colors.green);
+
+  // Step 7: Create the data for the /hooks explorer page (compact keys plus facets)
+  const explorerHooks = {
+    generated: hooksData.generated,
+    products: Object.fromEntries(
+      Object.entries(hooksData.products).map(([id, info]) => [id, info.label])
+    ),
+    hooks: hooksData.hooks.map(h => ({
+      n: h.name,                                      // name
+      t: h.type[0],                                   // type: 'a' or 'f'
+      p: h.product,                                   // product
+      d: stripLinks(h.description),                   // description, links reduced to their text
+      u: h.url,                                       // url
+      c: h.categories,                                // categories from inferCategories()
+      s: h.since?.match(/^v?(\d+(?:\.\d+)*)/)?.[1] || null,  // since version
+      pt: [...new Set(h.parameters.flatMap(p => splitParamType(p.type)))],  // parameter types
+    })),
+  };
+
+  const explorerJsonPath = path.join(apiDir, 'hooks-explorer.json');
+  fs.writeFileSync(explorerJsonPath, JSON.stringify(explorerHooks));
+  log(`  Created: static/api/hooks-explorer.json`, colors.green);
+
+  // Step 8: Create the resolver index mapping dynamic hook patterns to their docs
+  const patternsData = {
+    generated: hooksData.generated,
+    usage: 'Test a concrete hook name against each regex; named groups hold the placeholder values.',
+    patterns: hooksData.hooks
+      .filter(h => h.pattern)
+      .map(h => ({
+        name: h.name,
+        type: h.type,
+        product: h.product,
+        url: h.url,
+        ...h.pattern,
+      })),
+  };
+
+  const patternsJsonPath = path.join(apiDir, 'hooks-patterns.json');
+  fs.writeFileSync(patternsJsonPath, JSON.stringify(patternsData, null, 2));
+  log(`  Created: static/api/hooks-patterns.json (${patternsData.patterns.length} dynamic hooks)`, colors.green);
+
+  // Step 9: Measure documentation coverage for the /coverage page, with its history across builds
+  let coverageHistory = {};
+  try {
+    coverageHistory = JSON.parse(fs.readFileSync(COVERAGE_HISTORY_PATH, 'utf8')).products || {};
+  } catch {
+    // First build, or the cache was cleared
+  }
+
+  const coverageProducts = [];
+  for (const product of config.products) {
+    const model = readHookModel(path.join(PROJECT_ROOT, 'docs', product.id));
+    if (!model) continue;
+
+    const counts = measureCoverage(model.hooks);
+    const history = addCoverageEntry(coverageHistory[product.id] || [], {
+      date: model.generated,
+      sha: model.build?.sha ?? null,
+      ...counts,
+    });
+    coverageHistory[product.id] = history;
+
+    coverageProducts.push({
+      id: product.id,
+      label: product.label,
+      url: `${getCurrentDocsPath(PROJECT_ROOT, product.id)}/`,
+      ...counts,
+      history,
+    });
+  }
+
+  fs.mkdirSync(path.dirname(COVERAGE_HISTORY_PATH), { recursive: true });
+  fs.writeFileSync(COVERAGE_HISTORY_PATH, JSON.stringify({ products: coverageHistory }, null, 2));
+
+  const coverageData = {
+    generated: hooksData.generated,
+    metrics: COVERAGE_METRICS,
+    products: coverageProducts,
+  };
+
+  const coverageJsonPath = path.join(apiDir, 'hooks-coverage.json');
+  fs.writeFileSync(coverageJsonPath, JSON.stringify(coverageData));
+  log(`  Created: static/api/hooks-coverage.json (${coverageProducts.length} products)`, colors.green);
+
   // Step 4: Create or update llms.txt with stats
   log('\n▶ Creating/Updating llms.txt...', colors.cyan);
   const llmsPath = path.join(PROJECT_ROOT, 'static', 'llms.txt');
@@ -505,6 +452,7 @@ Example workflow:
 ### Full Database (Large - 728KB)
 - \`/api/hooks.json\` - All ${hooksData.stats.totalHooks} hooks in one file
 - \`/api/hooks-compact.json\` - Minimal format for quick searches
+- \`/api/hooks-patterns.json\` - Regexes for dynamic hook names, to find the docs for a concrete name like \`gravityview/field/address/output\`
 
 ### Product IDs
 ${productIds}
@@ -521,7 +469,7 @@ When helping developers with GravityKit:
 1. Check the specific product's hooks section
 2. Look for filters to modify data, actions for side effects
 3. Note the hook's parameters and their types
-4. Include the full hook name with any dynamic portions (e.g., \`{field_type}\`)
+4. Include the full hook name with any dynamic portions (e.g., \`{field_type}\`); each dynamic hook's \`pattern\` lists its placeholders
 5. Check related hooks for comprehensive solutions
 
 ${statsSection}`;
@@ -557,6 +505,10 @@ ${statsSection}`;
   log('  • static/api/hooks/{product}.json - Per-product hooks (25 files)');
   log('  • static/api/hooks.json - Full database (large, use per-product instead)');
   log('  • static/api/hooks-compact.json - Compact version for quick lookups');
+  log('  • static/api/hooks-search.json - Prebuilt index for the navbar hook search');
+  log('  • static/api/hooks-explorer.json - Faceted data for the /hooks explorer page');
+  log('  • static/api/hooks-patterns.json - Resolver for concrete names of dynamic hooks');
+  log('  • static/api/hooks-coverage.json - Documentation coverage for the /coverage page');
   log('  • static/llms.txt - LLM context file with updated stats\n');
 
   log('Recommended usage:', colors.cyan);
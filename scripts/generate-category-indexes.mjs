@@ -8,56 +8,23 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { readHookModel } from './lib/hook-model.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const docsDir = path.join(__dirname, '..', 'docs');
 
-// Find all actions and filters directories (lowercase)
-function findCategoryDirs(dir) {
-  const results = [];
-  const entries = fs.readdirSync(dir, { withFileTypes: true });
-
-  for (const entry of entries) {
-    const fullPath = path.join(dir, entry.name);
-    if (entry.isDirectory()) {
-      if (entry.name === 'actions' || entry.name === 'filters') {
-        results.push(fullPath);
-      } else {
-        results.push(...findCategoryDirs(fullPath));
-      }
-    }
-  }
-
-  return results;
-}
-
-// Count markdown files in a directory (excluding index.md)
-function countHooks(dir) {
-  const files = fs.readdirSync(dir);
-  return files.filter(f => f.endsWith('.md') && f !== 'index.md').length;
-}
-
-// Get product name from path
-function getProductName(dirPath) {
-  const parts = dirPath.split(path.sep);
-  const docsIndex = parts.indexOf('docs');
-  if (docsIndex !== -1 && parts[docsIndex + 1]) {
-    // Convert slug to title case
-    return parts[docsIndex + 1]
-      .split('-')
-      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-      .join(' ');
-  }
-  return 'Unknown Product';
+// Find the product directories with a hook model (written by hooks:generate)
+function findProductModels(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => ({ dir: path.join(dir, entry.name), model: readHookModel(path.join(dir, entry.name)) }))
+    .filter(({ model }) => model);
 }
 
 // Generate index.md content
-function generateIndexContent(dirPath, category) {
-  const productName = getProductName(dirPath);
-  const hookCount = countHooks(dirPath);
+function generateIndexContent(productName, category, hookCount) {
   // category is lowercase ('actions' or 'filters')
   const isActions = category === 'actions';
-  const hookType = isActions ? 'action' : 'filter';
   const hookTypePlural = isActions ? 'actions' : 'filters';
   // Capitalize for display
   const categoryTitle = category.charAt(0).toUpperCase() + category.slice(1);
@@ -85,17 +52,18 @@ Browse the sidebar to explore all available ${hookTypePlural}.
 }
 
 // Main execution
-const categoryDirs = findCategoryDirs(docsDir);
 let updated = 0;
 
-for (const dir of categoryDirs) {
-  const indexPath = path.join(dir, 'index.md');
-  const category = path.basename(dir);
+for (const { dir, model } of findProductModels(docsDir)) {
+  for (const category of ['actions', 'filters']) {
+    const hookCount = model.hooks.filter(hook => `${hook.type}s` === category).length;
+    if (hookCount === 0) continue;
 
-  const content = generateIndexContent(dir, category);
-  fs.writeFileSync(indexPath, content, 'utf8');
-  console.log(`Updated ${indexPath}`);
-  updated++;
+    const indexPath = path.join(dir, category, 'index.md');
+    fs.writeFileSync(indexPath, generateIndexContent(model.product.label, category, hookCount), 'utf8');
+    console.log(`Updated ${indexPath}`);
+    updated++;
+  }
 }
 
 console.log(`\nDone! Updated ${updated} index files.`);
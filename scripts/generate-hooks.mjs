@@ -10,6 +10,8 @@
  *   npm run hooks:generate          # Regenerate all hooks docs
  *   npm run hooks:generate -- --product gravityview  # Single product (exact ID)
  *   npm run hooks:generate -- --dry-run  # Preview without changes
+ *   npm run hooks:generate -- --force    # Regenerate even if nothing changed
+ *   npm run hooks:generate -- --parallel 4  # Generate 4 products at once
  *   npm run hooks:generate -- --list     # List available product IDs
  *
  * Prerequisites:
@@ -17,46 +19,31 @@
  *   - Repos cloned via: npm run repos:clone
  */
 
-import { spawnSync } from 'node:child_process';
+import { createHash } from 'node:crypto';
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { parseHooksDir } from './lib/hook-parser.mjs';
+import { countCallArguments } from './lib/hook-calls.mjs';
+import { classReferenceTexts, createReferenceResolver, findReferences, linkReferences, referenceTexts } from './lib/doc-references.mjs';
+import { HOOK_MODEL_VERSION, readHookModel, writeHookModel } from './lib/hook-model.mjs';
+import { applyOverlays, findOrphanOverlays, loadOverlays, readOverlayFiles } from './lib/hook-overlays.mjs';
+import { CLASS_MODEL_VERSION, createClassLookup, extractClasses, getIgnoredDirs, readClassModel, writeClassModel } from './lib/php-api.mjs';
+import { loadTemplate, renderTemplate, TEMPLATES_DIR } from './lib/templates.mjs';
+import { createTypeResolver, formatType, resolveTypeRefs, unresolvedTypes } from './lib/type-links.mjs';
+import { buildHooksConfig, checkWpHooksDocumentor, runWpHooksDocumentor } from './lib/wp-hooks-documentor.mjs';
+import { loadReposConfig } from './lib/repos-config.mjs';
+import { exportRef, getCommitInfo } from './lib/git.mjs';
+import { compareVersions, getCurrentDocsPath, getVersionedPaths, versionName } from './lib/versions.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const PROJECT_ROOT = path.resolve(__dirname, '..');
-const TEMPLATES_DIR = path.join(PROJECT_ROOT, 'templates', 'hooks');
+const MANIFEST_PATH = path.join(PROJECT_ROOT, '.cache', 'hooks-manifest.json');
+const BUILD_MANIFEST_PATH = path.join(PROJECT_ROOT, 'static', 'api', 'build-manifest.json');
 
-/**
- * Load a template file
- */
-function loadTemplate(name) {
-  const templatePath = path.join(TEMPLATES_DIR, `${name}.md`);
-  if (!fs.existsSync(templatePath)) {
-    throw new Error(`Template not found: ${templatePath}`);
-  }
-  return fs.readFileSync(templatePath, 'utf8');
-}
-
-/**
- * Render a template with variables
- * Supports {{variable}} and {{#condition}}...{{/condition}} blocks
- */
-function renderTemplate(template, vars) {
-  let result = template;
-
-  // Handle conditional blocks: {{#condition}}...{{/condition}}
-  result = result.replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, key, content) => {
-    return vars[key] ? content : '';
-  });
-
-  // Handle simple variables: {{variable}}
-  result = result.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-    return vars[key] !== undefined ? vars[key] : match;
-  });
-
-  return result;
-}
+// Lines of context shown before and after each hook call (defaults.excerptLines)
+const DEFAULT_EXCERPT_LINES = 5;
 
 // ANSI color codes
 const colors = {
@@ -95,413 +82,1313 @@ function logStep(message) {
 }
 
 /**
- * Load configuration from repos-config.json
+ * Create a logger for a single product's output
+ *
+ * When buffered, lines are collected with a [product-id] prefix and printed
+ * together by flush(), so output from products generated in parallel
+ * doesn't interleave.
+ */
+function createProductLogger(productId, buffered) {
+  const lines = [];
+  const prefix = `${colors.dim}[${productId}]${colors.reset} `;
+
+  const write = (message, color = '') => {
+    if (!buffered) {
+      log(message, color);
+      return;
+    }
+
+    String(message)
+      .split('\n')
+      .filter((line) => line.trim() !== '')
+      .forEach((line) => lines.push(`${prefix}${color}${line}${colors.reset}`));
+  };
+
+  return {
+    buffered,
+    log: write,
+    info: (message) => write(`ℹ️  ${message}`, colors.blue),
+    flush: () => {
+      if (lines.length > 0) {
+        console.log(lines.join('\n'));
+        lines.length = 0;
+      }
+    },
+  };
+}
+
+/**
+ * Run an async worker over items with at most `limit` running at once
+ * Results are returned in the same order as items.
+ */
+async function runWorkerPool(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, runNext);
+  await Promise.all(workers);
+
+  return results;
+}
+
+/**
+ * Load the build manifest recording what each product was last generated from
+ */
+function loadManifest() {
+  if (!fs.existsSync(MANIFEST_PATH)) {
+    return { products: {}, versions: {} };
+  }
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+    return { products: {}, versions: {}, ...manifest };
+  } catch (err) {
+    logWarning(`Ignoring unreadable build manifest: ${err.message}`);
+    return { products: {}, versions: {} };
+  }
+}
+
+/**
+ * Save the build manifest
+ */
+function saveManifest(manifest) {
+  fs.mkdirSync(path.dirname(MANIFEST_PATH), { recursive: true });
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+/**
+ * Hash a list of strings
+ */
+function hashContent(...parts) {
+  const hash = createHash('sha256');
+  parts.forEach((part) => hash.update(part));
+  return hash.digest('hex');
+}
+
+/**
+ * Get the fingerprint of everything a product's generated docs depend on
+ *
+ * - sha: the commit the product's repo is checked out at
+ * - configHash: the effective wp-hooks-documentor config, the product entry, type links
+ *   and the product's hand-written overlays (content/hooks/{product}/)
+ * - templateHash: the markdown templates in templates/hooks/
+ * - codeHash: the hook and class model versions and the generator code (this
+ *   script and scripts/lib/), which renders the pages and writes the models
+ * - referencesHash: the product's {@see} references, resolved against the
+ *   other products' current hook models (see relinkCrossProductReferences())
+ */
+function getBuildFingerprint(product, config, repoDir) {
+  // Use the relative srcDir so the hash doesn't depend on where the repo is cloned
+  const hooksConfig = buildHooksConfig(product, config, product.srcDir || '.');
+  const typeLinksPath = path.join(PROJECT_ROOT, 'type-links.json');
+  const typeLinks = fs.existsSync(typeLinksPath) ? fs.readFileSync(typeLinksPath, 'utf8') : '';
+
+  const templates = fs.readdirSync(TEMPLATES_DIR)
+    .sort()
+    .map((file) => `${file}\n${fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf8')}`);
+
+  const libDir = path.join(__dirname, 'lib');
+  const code = [__filename, ...fs.readdirSync(libDir).sort().map((file) => path.join(libDir, file))]
+    .map((file) => `${path.basename(file)}\n${fs.readFileSync(file, 'utf8')}`);
+
+  return {
+    sha: getCommitInfo(repoDir)?.sha ?? null,
+    configHash: hashContent(JSON.stringify(hooksConfig), JSON.stringify(product), JSON.stringify(config.defaults ?? {}), typeLinks, ...readOverlayFiles(product.id)),
+    templateHash: hashContent(...templates),
+    codeHash: hashContent(`hooks:${HOOK_MODEL_VERSION}`, `classes:${CLASS_MODEL_VERSION}`, ...code),
+    referencesHash: getReferencesHash(product, config),
+  };
+}
+
+/**
+ * Check if a product's generated docs match its current fingerprint
+ */
+function isUpToDate(entry, fingerprint) {
+  return Boolean(entry)
+    && fingerprint.sha !== null
+    && entry.sha === fingerprint.sha
+    && entry.configHash === fingerprint.configHash
+    && entry.templateHash === fingerprint.templateHash
+    && entry.codeHash === fingerprint.codeHash
+    && entry.referencesHash === fingerprint.referencesHash;
+}
+
+/**
+ * Describe the source a product's docs are built from
+ *
+ * ref is the pinned tag/SHA, the branch, or the local source for copied products.
+ */
+function getBuildInfo(product, config, repoDir, ref = null) {
+  const commit = getCommitInfo(repoDir, ref || 'HEAD');
+
+  let displayRef = ref || product.ref || product.branch || config.defaults?.branch || 'develop';
+  if (!ref && product.source) {
+    displayRef = `${product.source.type}:${product.source.path}`;
+  }
+
+  return {
+    repo: product.repo,
+    ref: displayRef,
+    sha: commit?.sha ?? null,
+    commitDate: commit?.date ?? null,
+  };
+}
+
+/**
+ * Load build-manifest.json, which records the commit each product's docs were built from
+ */
+function loadBuildManifest() {
+  try {
+    return { products: {}, ...JSON.parse(fs.readFileSync(BUILD_MANIFEST_PATH, 'utf8')) };
+  } catch {
+    return { products: {} };
+  }
+}
+
+/**
+ * Save build-manifest.json, keeping entries of products that weren't regenerated
+ */
+function saveBuildManifest(buildManifest, config) {
+  const productIds = new Set(config.products.map((p) => p.id));
+  const products = Object.fromEntries(
+    Object.entries(buildManifest.products)
+      .filter(([id]) => productIds.has(id))
+      .sort(([a], [b]) => a.localeCompare(b))
+  );
+
+  fs.mkdirSync(path.dirname(BUILD_MANIFEST_PATH), { recursive: true });
+  fs.writeFileSync(BUILD_MANIFEST_PATH, JSON.stringify({
+    generated: new Date().toISOString(),
+    products,
+  }, null, 2) + '\n');
+}
+
+/**
+ * Delete directory recursively
+ */
+function deleteDirRecursive(dir) {
+  if (fs.existsSync(dir)) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Generate a _category_.json file for Docusaurus sidebar ordering
+ */
+function generateCategoryJson(dir, label, position) {
+  if (!fs.existsSync(dir)) {
+    return;
+  }
+
+  const categoryPath = path.join(dir, '_category_.json');
+  const category = {
+    label,
+    position,
+  };
+
+  fs.writeFileSync(categoryPath, JSON.stringify(category, null, 2) + '\n');
+}
+
+/**
+ * Tag hooks with the versions from their @since entries
+ */
+function addSinceTags(hooks) {
+  for (const hook of hooks) {
+    hook.tags = [...new Set(hook.since.map((entry) => entry.version).filter(Boolean))];
+  }
+}
+
+/**
+ * Load type links configuration
+ */
+function loadTypeLinks() {
+  const typeLinksPath = path.join(PROJECT_ROOT, 'type-links.json');
+  if (!fs.existsSync(typeLinksPath)) {
+    return {};
+  }
+  try {
+    const config = JSON.parse(fs.readFileSync(typeLinksPath, 'utf8'));
+    return config.types || {};
+  } catch (err) {
+    console.warn('Warning: Could not parse type-links.json:', err.message);
+    return {};
+  }
+}
+
+/**
+ * Classes of the other products' develop docs, with the URL of each class page
+ *
+ * Read from their class models like getOtherProductHooks().
+ */
+let otherProductClasses = null;
+function getOtherProductClasses(config, { reload = false } = {}) {
+  if (!otherProductClasses || reload) {
+    const docsDir = path.resolve(PROJECT_ROOT, config.outputDir);
+    otherProductClasses = config.products.flatMap((product) => {
+      const docsPath = getCurrentDocsPath(PROJECT_ROOT, product.id);
+      return (readClassModel(path.join(docsDir, product.id))?.classes || [])
+        .map((cls) => ({ ...cls, url: `${docsPath}/classes/${cls.slug}/` }));
+    });
+  }
+  return otherProductClasses;
+}
+
+/**
+ * Create a lookup of the classes a product can link to: its own, then those
+ * of the other products (which have `url` set), e.g. \GV\View in an extension
+ */
+function createProductClassLookup(classes, product, config) {
+  const findOwn = createClassLookup(classes);
+  const findOther = createClassLookup(getOtherProductClasses(config).filter((cls) => cls.product !== product.id));
+  return (name, context = null) => findOwn(name, context) ?? findOther(name, context);
+}
+
+/**
+ * Create the resolver for class names in types: the classes of the product
+ * and the other products, then the bundled core map, then type-links.json
+ * (see lib/type-links.mjs)
+ */
+function createProductTypeResolver(classes, product, config) {
+  return createTypeResolver({ findClass: createProductClassLookup(classes, product, config), manual: loadTypeLinks() });
+}
+
+/**
+ * Link parameter and return types to their documentation
+ *
+ * Sets typeRefs to the class names in each type, e.g. both of
+ * `\GV\View|WP_Post`, with where each one links. Unresolved names are kept
+ * and reported at the end of the run.
+ */
+function linkParameterTypes(hooks, resolveType) {
+  const linkTypes = (parameters) => {
+    for (const param of parameters) {
+      const refs = resolveTypeRefs(param.type, resolveType);
+      if (refs.length > 0) {
+        param.typeRefs = refs;
+      }
+      linkTypes(param.children || []);
+    }
+  };
+
+  for (const hook of hooks) {
+    linkTypes(hook.parameters);
+    if (hook.returns?.type) {
+      linkTypes([hook.returns]);
+    }
+  }
+}
+
+/**
+ * Hooks of the other products' develop docs, with the URL of each hook's page
+ *
+ * Read from their hook models once per run, and again with `reload` once all
+ * products are generated, see relinkCrossProductReferences().
+ */
+let otherProductHooks = null;
+function getOtherProductHooks(config, { reload = false } = {}) {
+  if (!otherProductHooks || reload) {
+    const docsDir = path.resolve(PROJECT_ROOT, config.outputDir);
+    otherProductHooks = config.products.flatMap((product) => {
+      const docsPath = getCurrentDocsPath(PROJECT_ROOT, product.id);
+      return (readHookModel(path.join(docsDir, product.id))?.hooks || [])
+        .map((hook) => ({ ...hook, url: `${docsPath}/${hook.type}s/${hook.id}/` }));
+    });
+  }
+  return otherProductHooks;
+}
+
+/**
+ * Read a product's hook and class records back from its models
+ *
+ * @returns {{hooks: object[], classes: object[], build: object|null}|null} null when not generated
+ */
+function readProductRecords(productDir) {
+  const hookModel = readHookModel(productDir);
+  if (!hookModel) {
+    return null;
+  }
+
+  return {
+    hooks: hookModel.hooks,
+    classes: readClassModel(productDir)?.classes || [],
+    build: hookModel.build,
+  };
+}
+
+/**
+ * Hash of where a product's references and parameter types link to
+ */
+function hashReferences(hooks, classes) {
+  const typeRefs = (parameters) => parameters.flatMap((p) => [p.typeRefs || [], ...typeRefs(p.children || [])]);
+
+  return hashContent(JSON.stringify([
+    ...hooks.map((hook) => [hook.references || [], ...typeRefs([...hook.parameters, ...(hook.returns ? [hook.returns] : [])])]),
+    ...classes.map((cls) => cls.references || []),
+  ]));
+}
+
+/**
+ * Resolve a product's references and parameter types against the current models
+ *
+ * Returns the resolver for the class pages, see writeProductDocs().
+ */
+function linkProductRecords(records, product, config) {
+  const resolveType = createProductTypeResolver(records.classes, product, config);
+  linkParameterTypes(records.hooks, resolveType);
+  resolveReferences(records.hooks, records.classes, resolveType, product, config);
+  return resolveType;
+}
+
+/**
+ * Hash of a product's links resolved against the current models
+ *
+ * Changes when a hook or class another product's page links to is added,
+ * removed or moved. null when the product hasn't been generated yet.
+ */
+function getReferencesHash(product, config) {
+  const records = readProductRecords(path.join(path.resolve(PROJECT_ROOT, config.outputDir), product.id));
+  if (!records) {
+    return null;
+  }
+
+  linkProductRecords(records, product, config);
+  return hashReferences(records.hooks, records.classes);
+}
+
+/**
+ * Resolve the {@see}/{@link} references in each hook's and class's docblocks
+ *
+ * Sets `references` to one entry per target: a hook (of this or another
+ * product), a class of the product or with a type link, or a URL.
+ * Unresolved targets are kept with `kind: null`.
+ */
+function resolveReferences(hooks, classes, resolveType, product, config) {
+  const resolve = createReferenceResolver({
+    hooks,
+    otherHooks: getOtherProductHooks(config).filter((hook) => hook.product !== product.id),
+    findClass: createProductClassLookup(classes, product, config),
+    resolveType,
+  });
+
+  const toReferences = (texts) => {
+    const targets = new Set(texts.flatMap(findReferences).map((r) => r.target));
+    return [...targets].map((target) => ({ target, ...(resolve(target) ?? { kind: null }) }));
+  };
+
+  for (const hook of hooks) {
+    hook.references = toReferences(referenceTexts(hook));
+  }
+  for (const cls of classes) {
+    cls.references = toReferences(classReferenceTexts(cls));
+  }
+}
+
+/**
+ * Link each hook's and class's source location to the exact line on GitHub
+ *
+ * Links point at the commit the docs were built from, falling back to the
+ * ref when the commit is unknown. "Edit on GitHub" is only added when the
+ * docs follow a branch, since tags and SHAs can't be edited.
+ * Products with `"sourceLinks": false` (private repos) keep plain text.
+ */
+function linkSourceLocations(hooks, classes, product, config, build) {
+  if (product.sourceLinks === false || !product.repo) {
+    return;
+  }
+
+  const branch = product.branch || config.defaults?.branch || 'develop';
+  const blobRef = build.sha || build.ref || branch;
+  const editable = !product.source && build.ref === branch;
+
+  const toRepoPath = (file) => [product.srcDir, file.replace(/^\.\//, '')]
+    .filter(Boolean)
+    .join('/')
+    .replace(/\/{2,}/g, '/');
+
+  for (const hook of hooks) {
+    if (!hook.source) continue;
+
+    const repoPath = encodeURI(toRepoPath(hook.source.file));
+    hook.source.url = `https://github.com/${product.repo}/blob/${blobRef}/${repoPath}#L${hook.source.line}`;
+    if (editable) {
+      hook.source.editUrl = `https://github.com/${product.repo}/edit/${branch}/${repoPath}`;
+    }
+  }
+
+  for (const cls of classes) {
+    const blobUrl = `https://github.com/${product.repo}/blob/${blobRef}/${encodeURI(toRepoPath(cls.source.file))}`;
+    cls.source.url = `${blobUrl}#L${cls.source.line}`;
+    for (const method of cls.methods) {
+      method.url = `${blobUrl}#L${method.line}`;
+    }
+  }
+}
+
+/**
+ * Run wp-hooks-documentor for a product
+ */
+async function generateHooksDocs(product, config, options, manifest, logger) {
+  const reposDir = path.resolve(PROJECT_ROOT, config.reposDir);
+  const outputBaseDir = path.resolve(PROJECT_ROOT, config.outputDir);
+
+  // Get repo directory name from repo path (org/repo -> repo)
+  const repoName = product.repo.split('/')[1];
+  const repoDir = path.join(reposDir, repoName);
+
+  // Check if repo exists
+  if (!fs.existsSync(repoDir)) {
+    return {
+      ok: false,
+      id: product.id,
+      reason: `Repository not cloned. Run: npm run repos:clone -- --product ${product.id}`,
+    };
+  }
+
+  // Determine input directory (the cloned repo)
+  const inputDir = product.srcDir
+    ? path.join(repoDir, product.srcDir)
+    : repoDir;
+
+  if (!fs.existsSync(inputDir)) {
+    return {
+      ok: false,
+      id: product.id,
+      reason: `Source directory not found: ${inputDir}`,
+    };
+  }
+
+  // Final output directory for this product's hooks
+  const finalOutputDir = path.join(outputBaseDir, product.id);
+
+  // Skip products whose repo, config and templates haven't changed since the last run
+  const fingerprint = getBuildFingerprint(product, config, repoDir);
+  const upToDate = !options.force
+    && fs.existsSync(finalOutputDir)
+    && isUpToDate(manifest.products[product.id], fingerprint);
+
+  if (upToDate) {
+    logger.info(`Unchanged, skipping: ${product.id} (${fingerprint.sha.slice(0, 7)})`);
+    return { ok: true, id: product.id, action: 'skipped' };
+  }
+
+  if (options.dryRun) {
+    logger.info(`[DRY RUN] Would generate: ${product.id}`);
+    logger.info(`  Input: ${path.relative(PROJECT_ROOT, inputDir)}`);
+    logger.info(`  Output: ${path.relative(PROJECT_ROOT, finalOutputDir)}`);
+    return { ok: true, id: product.id, action: 'dry_run' };
+  }
+
+  logger.log(`\n${colors.cyan}=== ${product.label} (${product.id}) ===${colors.reset}`);
+  logger.info(`Input:  ${path.relative(PROJECT_ROOT, inputDir)}`);
+  logger.info(`Output: ${path.relative(PROJECT_ROOT, finalOutputDir)}`);
+
+  // Create a temporary working directory for wp-hooks-documentor
+  const tempWorkDir = path.join(PROJECT_ROOT, '.tmp-hooks-work', product.id);
+
+  try {
+    // Clean up any previous temp directory
+    deleteDirRecursive(tempWorkDir);
+    fs.mkdirSync(tempWorkDir, { recursive: true });
+
+    const result = await runWpHooksDocumentor(product, config, inputDir, tempWorkDir, {
+      buffered: logger.buffered,
+    });
+
+    if (result.output) {
+      logger.log(result.output);
+    }
+
+    if (!result.ok) {
+      return {
+        ok: false,
+        id: product.id,
+        reason: result.reason,
+      };
+    }
+
+    const build = getBuildInfo(product, config, repoDir);
+    processGeneratedDocs(product, config, {
+      hooksDir: result.hooksDir,
+      inputDir,
+      outputDir: finalOutputDir,
+      build,
+    });
+
+    return { ok: true, id: product.id, action: 'generated', fingerprint, build };
+  } finally {
+    // Clean up temp directory
+    deleteDirRecursive(tempWorkDir);
+  }
+}
+
+/**
+ * Get the lines of a hook call, from its first line to the closing parenthesis
+ *
+ * Calls can span several lines when they pass many arguments.
+ */
+function getCallLineCount(lines, startIndex) {
+  let depth = 0;
+  let opened = false;
+
+  for (let i = startIndex; i < Math.min(lines.length, startIndex + 30); i++) {
+    for (const char of lines[i]) {
+      if (char === '(') {
+        depth++;
+        opened = true;
+      } else if (char === ')') {
+        depth--;
+      }
+    }
+
+    if (opened && depth <= 0) {
+      return i - startIndex + 1;
+    }
+  }
+
+  return 1;
+}
+
+/**
+ * Create a cached reader for the lines of source files within inputDir
+ *
+ * Returns null for files outside inputDir or missing ones.
+ */
+function createSourceReader(inputDir) {
+  const fileCache = new Map();
+
+  return (file) => {
+    if (!fileCache.has(file)) {
+      const filePath = path.resolve(inputDir, file);
+      const inside = filePath.startsWith(path.resolve(inputDir) + path.sep);
+      fileCache.set(file, inside && fs.existsSync(filePath)
+        ? fs.readFileSync(filePath, 'utf8').split(/\r?\n/)
+        : null);
+    }
+    return fileCache.get(file);
+  };
+}
+
+/**
+ * Record how many arguments each hook call passes, as source.argumentCount
+ *
+ * null when the call can't be read or its arguments are built at runtime.
+ */
+function addCallArguments(hooks, inputDir) {
+  if (!inputDir) {
+    return;
+  }
+
+  const readLines = createSourceReader(inputDir);
+
+  for (const hook of hooks) {
+    if (!hook.source) continue;
+
+    const lines = readLines(hook.source.file);
+    const callIndex = hook.source.line - 1;
+    if (!lines || callIndex < 0 || callIndex >= lines.length) {
+      hook.source.argumentCount = null;
+      continue;
+    }
+
+    const callLines = getCallLineCount(lines, callIndex);
+    hook.source.argumentCount = countCallArguments(lines.slice(callIndex, callIndex + callLines).join('\n'));
+  }
+}
+
+/**
+ * Add an excerpt of the code around each hook call, with the call highlighted
+ *
+ * Reads the source file at the hook's source location. A contextLines of 0
+ * disables excerpts.
+ */
+function addSourceExcerpts(hooks, inputDir, contextLines) {
+  if (!contextLines || !inputDir) {
+    return;
+  }
+
+  const readLines = createSourceReader(inputDir);
+
+  for (const hook of hooks) {
+    if (!hook.source) continue;
+
+    const lines = readLines(hook.source.file);
+    const callIndex = hook.source.line - 1;
+    if (!lines || callIndex < 0 || callIndex >= lines.length) continue;
+
+    const callLines = getCallLineCount(lines, callIndex);
+    const start = Math.max(0, callIndex - contextLines);
+    const end = Math.min(lines.length, callIndex + callLines + contextLines);
+
+    // Highlighted lines are relative to the start of the excerpt
+    const highlightStart = callIndex - start + 1;
+
+    hook.excerpt = {
+      file: hook.source.file.replace(/^\.\//, ''),
+      startLine: start + 1,
+      endLine: end,
+      highlight: callLines > 1 ? `${highlightStart}-${highlightStart + callLines - 1}` : `${highlightStart}`,
+      code: lines.slice(start, end).join('\n'),
+    };
+  }
+}
+
+/**
+ * Escape text for a hook page: braces, plus pipes and line breaks in table cells
+ */
+function escapeMarkdown(text, inTable = false) {
+  const escaped = String(text).replace(/[{}]/g, '\\$&');
+  return inTable ? escaped.replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ') : escaped;
+}
+
+/**
+ * Escape a value for a double-quoted YAML string
+ */
+function escapeYaml(text) {
+  return String(text).replace(/[\\"]/g, '\\$&');
+}
+
+/**
+ * Link to a hook's page from another page in the product's docs
+ */
+function hookPageLink(hook, prefix) {
+  return `[\`${hook.name}\`](${prefix}${hook.type}s/${hook.id}.md)`;
+}
+
+/**
+ * Link of a resolved class name in a type, from a hook or class page
+ *
+ * Classes of the product link to their page; those of other products and
+ * core classes have a URL.
+ */
+function typeHref(ref) {
+  return ref.url || `../classes/${ref.slug}.md`;
+}
+
+/**
+ * Format a parameter or return type, linked to its documentation when known
+ */
+function formatParameterType(parameter) {
+  return formatType(parameter.type, parameter.typeRefs, typeHref);
+}
+
+/**
+ * Link of a resolved reference from a hook or class page
+ *
+ * Hooks and classes of the same product are linked relatively, so versioned
+ * docs link within their version.
+ */
+function referenceHref(reference, record) {
+  if (reference.kind === 'hook' && reference.product === record.product) {
+    return `../${reference.type}s/${reference.id}.md`;
+  }
+  if (reference.kind === 'class' && reference.product === record.product) {
+    return `../classes/${reference.slug}.md${reference.anchor ? `#${reference.anchor}` : ''}`;
+  }
+  return reference.url;
+}
+
+/**
+ * Render nested parameters as a markdown list, one indentation level per depth
+ *
+ * formatText renders the descriptions (see renderHookPage()).
+ */
+function renderParameterList(parameters, formatText, depth = 0) {
+  const indent = '  '.repeat(depth);
+
+  return parameters
+    .map((p) => {
+      const item = `${indent}- \`$${p.name}\` ${formatParameterType(p)}${p.description ? ` — ${formatText(p.description)}` : ''}`;
+      return p.children?.length > 0 ? `${item}\n${renderParameterList(p.children, formatText, depth + 1)}` : item;
+    })
+    .join('\n');
+}
+
+/**
+ * Render a hook page from its record
+ *
+ * hooksByName holds the product's hooks, to link deprecated hooks to their replacement.
+ */
+function renderHookPage(hook, hooksByName) {
+  const typeLabel = hook.type === 'action' ? 'Action' : 'Filter';
+
+  // Docblock text, escaped, with its {@see}/{@link} references linked
+  const formatText = (text, inTable = false) => linkReferences(
+    text,
+    hook.references,
+    (reference) => referenceHref(reference, hook),
+    (part) => escapeMarkdown(part, inTable)
+  );
+  // Markdown written as-is, like docblock sections and overlays
+  const formatMarkdown = (text) => linkReferences(text, hook.references, (reference) => referenceHref(reference, hook));
+
+  let notice = '';
+  if (hook.deprecated) {
+    const { since, replacement, note } = hook.deprecated;
+    const replacementHook = replacement && hooksByName.get(replacement);
+
+    let replacementText = '';
+    if (replacementHook) {
+      replacementText = ` Use ${hookPageLink(replacementHook, '../')} instead.`;
+    } else if (replacement) {
+      replacementText = ` Use \`${replacement}\` instead.`;
+    } else if (note) {
+      replacementText = ` ${formatMarkdown(note)}`;
+    }
+
+    const sinceText = since ? ` since version ${since}` : '';
+    notice = `:::warning Deprecated\n\nThis ${hook.type} is deprecated${sinceText}.${replacementText}\n\n:::`;
+  }
+
+  const parameters = hook.parameters
+    .map((p) => `| ${escapeMarkdown(`$${p.name}`, true)} | ${escapeMarkdown(formatParameterType(p), true)} | ${formatText(p.description, true)} |`)
+    .join('\n');
+
+  // Keys of array parameters, as an expandable tree below the table
+  const parameterTree = hook.parameters
+    .filter((p) => p.children?.length > 0)
+    .map((p) => `<details>\n<summary><code>$${p.name}</code> keys</summary>\n\n${renderParameterList(p.children, formatText)}\n\n</details>`)
+    .join('\n\n');
+
+  // Link versions to their tag pages: "1.18: Added feature" -> "[1.18](../../since/1-18/): Added feature"
+  // Path is ../../ because hook pages are in actions/ or filters/
+  const since = hook.since
+    .map(({ version, text }) => {
+      const linked = version
+        ? `[${version}](../../since/${version.replace(/\./g, '-')}/)${formatText(text.slice(version.length))}`
+        : formatText(text);
+      return `- ${linked}`;
+    })
+    .join('\n');
+
+  const deprecated = hook.deprecated
+    ? `- ${formatText([hook.deprecated.since, hook.deprecated.note].filter(Boolean).join(': ') || 'Deprecated')}`
+    : '';
+
+  // Overlay sections are appended to the docblock section of the same name,
+  // or added after them; "Examples" goes above the generated examples
+  const overlaySections = (hook.overlay?.sections || []).filter((s) => s.title.toLowerCase() !== 'examples');
+  const overlayExamples = (hook.overlay?.sections || []).find((s) => s.title.toLowerCase() === 'examples');
+
+  const mergedSections = hook.sections.map((s) => ({ ...s }));
+  for (const section of overlaySections) {
+    const existing = mergedSections.find((s) => s.title.toLowerCase() === section.title.toLowerCase());
+    if (existing) {
+      existing.content = [existing.content, section.content].filter(Boolean).join('\n\n');
+    } else {
+      mergedSections.push({ level: 2, ...section });
+    }
+  }
+
+  const sections = mergedSections
+    .map((s) => `${'#'.repeat(s.level)} ${s.title}\n\n${formatMarkdown(s.content)}`)
+    .join('\n\n');
+
+  const sourceParts = [];
+  if (hook.source) {
+    sourceParts.push(`Defined in \`${hook.source.file}\` at line ${hook.source.line}`);
+
+    if (hook.source.url) {
+      const editLink = hook.source.editUrl ? ` · [Edit on GitHub](${hook.source.editUrl})` : '';
+      sourceParts.push(`[View source on GitHub](${hook.source.url})${editLink}`);
+    }
+
+    if (hook.excerpt) {
+      const { file, startLine, endLine, highlight, code } = hook.excerpt;
+      sourceParts.push(`\`\`\`php title="${file} (lines ${startLine}–${endLine})" {${highlight}}\n${code.replace(/```/g, '` ` `')}\n\`\`\``);
+    }
+  }
+
+  // Filters without an @return are expected to return their first parameter
+  let returns = '';
+  if (hook.returns?.type) {
+    returns = `${formatParameterType(hook.returns)}${hook.returns.description ? ` — ${formatText(hook.returns.description)}` : ''}`;
+  } else if (hook.returns?.description) {
+    returns = formatText(hook.returns.description);
+  } else if (hook.type === 'filter' && hook.parameters.length > 0) {
+    const first = hook.parameters[0];
+    returns = `Not documented. Return \`$${first.name}\` (${formatParameterType(first)}), modified as needed.`;
+  }
+
+  const exampleTitles = {
+    closure: 'Closure',
+    function: 'Named function',
+    method: 'Class method',
+    remove: `Removing the ${hook.type === 'action' ? 'action' : 'filter'}`,
+  };
+  const examples = [
+    formatMarkdown(overlayExamples?.content),
+    ...Object.entries(exampleTitles)
+      .filter(([key]) => hook.examples?.[key])
+      .map(([key, title]) => `\`\`\`php title="${title}"\n${hook.examples[key]}\n\`\`\``),
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+
+  return renderTemplate(loadTemplate('hook'), {
+    id: hook.id,
+    title: escapeYaml(`${typeLabel} - ${hook.name}`),
+    sidebarLabel: escapeYaml(hook.name),
+    tags: hook.tags.map((tag) => `  - "${escapeYaml(tag)}"`).join('\n'),
+    heading: `${typeLabel}: ${escapeMarkdown(hook.name)}`,
+    notice,
+    description: formatText(hook.description),
+    longDescription: formatText(hook.longDescription),
+    notes: formatMarkdown(hook.overlay?.notes || ''),
+    parameters,
+    parameterTree,
+    since,
+    deprecated,
+    sections,
+    source: sourceParts.join('\n\n'),
+    returns,
+    examples,
+  });
+}
+
+/**
+ * Write a page for each hook to {outputDir}/{actions,filters}/{id}.md
  */
-function loadConfig() {
-  const configPath = path.join(PROJECT_ROOT, 'repos-config.json');
+function writeHookPages(outputDir, hooks) {
+  const hooksByName = new Map(hooks.map((hook) => [hook.name, hook]));
 
-  if (!fs.existsSync(configPath)) {
-    throw new Error(`Configuration file not found: ${configPath}`);
+  for (const hook of hooks) {
+    const dir = path.join(outputDir, `${hook.type}s`);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${hook.id}.md`), renderHookPage(hook, hooksByName));
   }
-
-  const raw = fs.readFileSync(configPath, 'utf8');
-  return JSON.parse(raw);
 }
 
 /**
- * Check if wp-hooks-documentor is available (via npx for local install)
+ * Format a value for a table cell as inline code, escaping pipes
  */
-function checkWpHooksDocumentor() {
-  // Try running via npx which finds locally installed packages
-  const result = spawnSync('npx', ['wp-hooks-documentor', '--help'], {
-    encoding: 'utf8',
-    stdio: 'pipe',
-  });
-
-  // If no error running the command, the tool is available
-  if (!result.error && result.status === 0) {
-    return true;
-  }
-  return false;
+function codeCell(text) {
+  return `\`${String(text).replace(/\|/g, '\\|')}\``;
 }
 
 /**
- * Copy directory recursively
+ * Render a class page from its record
+ *
+ * Names used in the class resolve against the namespace and imports of its
+ * file, to the product's class pages or type links. hooks are the hooks with
+ * a parameter of this class, subclasses the classes extending it.
  */
-function copyDirRecursive(src, dest) {
-  if (!fs.existsSync(src)) return;
+function renderClassPage(cls, { resolveType, hooks, subclasses }) {
+  const kindLabel = { class: 'Class', interface: 'Interface', trait: 'Trait', enum: 'Enum' }[cls.kind];
+
+  const formatText = (text, inTable = false) => linkReferences(
+    text,
+    cls.references,
+    (reference) => referenceHref(reference, cls),
+    (part) => escapeMarkdown(part, inTable)
+  );
+
+  const formatClassType = (type, inTable = false) => {
+    const formatted = formatType(type, resolveTypeRefs(type, resolveType, cls), typeHref);
+    return inTable ? formatted.replace(/\|/g, '\\|') : formatted;
+  };
 
-  fs.mkdirSync(dest, { recursive: true });
+  // Table cell for a property or parameter, with its default value
+  const describe = (member) => [
+    formatText(member.description, true),
+    member.default !== null ? `Default ${codeCell(member.default)}.` : '',
+  ].filter(Boolean).join(' ');
 
-  const entries = fs.readdirSync(src, { withFileTypes: true });
+  const deprecation = (deprecated, what) => {
+    const sinceText = deprecated.since ? ` since version ${deprecated.since}` : '';
+    const note = deprecated.note ? ` ${formatText(deprecated.note)}` : '';
+    return `:::warning Deprecated\n\nThis ${what} is deprecated${sinceText}.${note}\n\n:::`;
+  };
 
-  for (const entry of entries) {
-    const srcPath = path.join(src, entry.name);
-    const destPath = path.join(dest, entry.name);
+  const details = [
+    cls.namespace ? `- **Namespace:** \`${cls.namespace}\`` : '',
+    cls.extends.length > 0 ? `- **Extends:** ${cls.extends.map((name) => formatClassType(name)).join(', ')}` : '',
+    cls.implements.length > 0 ? `- **Implements:** ${cls.implements.map((name) => formatClassType(name)).join(', ')}` : '',
+    cls.traits.length > 0 ? `- **Uses:** ${cls.traits.map((name) => formatClassType(name)).join(', ')}` : '',
+    subclasses.length > 0 ? `- **Extended by:** ${subclasses.map((sub) => `[\`${sub.name}\`](./${sub.slug}.md)`).join(', ')}` : '',
+  ].filter(Boolean).join('\n');
+
+  const sourceParts = [`Defined in \`${cls.source.file}\` at line ${cls.source.line}`];
+  if (cls.source.url) {
+    sourceParts.push(`[View source on GitHub](${cls.source.url})`);
+  }
 
-    if (entry.isDirectory()) {
-      copyDirRecursive(srcPath, destPath);
-    } else {
-      fs.copyFileSync(srcPath, destPath);
+  const usedBy = hooks
+    .map((hook) => `- [\`${hook.name}\`](../${hook.type}s/${hook.id}.md)`)
+    .join('\n');
+
+  const constants = cls.constants
+    .map((c) => `| ${codeCell(c.name)} | ${c.value !== null ? codeCell(c.value) : '—'} | ${formatText(c.description, true)} |`)
+    .join('\n');
+
+  const properties = cls.properties
+    .map((p) => {
+      const modifiers = [p.visibility === 'protected' ? 'protected' : '', p.static ? 'static' : ''].filter(Boolean).join(', ');
+      return `| ${codeCell(`$${p.name}`)}${modifiers ? ` (${modifiers})` : ''} | ${p.type ? formatClassType(p.type, true) : '—'} | ${describe(p)} |`;
+    })
+    .join('\n');
+
+  // Method headings are "name()", which Docusaurus gives the anchor "#name"
+  const methodSummary = cls.methods
+    .map((m) => `| [\`${m.name}()\`](#${m.name.toLowerCase()}) | ${formatText(m.description, true)} |`)
+    .join('\n');
+
+  const methodSections = cls.methods.map((m) => {
+    const parts = [`### ${escapeMarkdown(m.name)}()`, `\`\`\`php\n${m.signature}\n\`\`\``];
+
+    if (m.deprecated) {
+      parts.push(deprecation(m.deprecated, 'method'));
+    }
+    parts.push(formatText(m.description), formatText(m.longDescription));
+
+    if (m.parameters.length > 0) {
+      const rows = m.parameters
+        .map((p) => {
+          return `| ${codeCell(`$${p.name}`)} | ${p.type ? formatClassType(p.type, true) : '—'} | ${describe(p)} |`;
+        })
+        .join('\n');
+      parts.push(`**Parameters**\n\n| Name | Type | Description |\n|------|------|-------------|\n${rows}`);
     }
-  }
-}
 
-/**
- * Delete directory recursively
- */
-function deleteDirRecursive(dir) {
-  if (fs.existsSync(dir)) {
-    fs.rmSync(dir, { recursive: true, force: true });
-  }
+    if (m.returns) {
+      parts.push(`**Returns** ${formatClassType(m.returns.type)}${m.returns.description ? ` — ${formatText(m.returns.description)}` : ''}`);
+    }
+    if (m.since.length > 0) {
+      parts.push(`**Since** ${m.since.map((entry) => formatText(entry.text)).join('; ')}`);
+    }
+    if (m.url) {
+      parts.push(`[View source on GitHub](${m.url})`);
+    }
+
+    return parts.filter(Boolean).join('\n\n');
+  });
+
+  const methods = cls.methods.length > 0
+    ? `| Method | Description |\n|--------|-------------|\n${methodSummary}\n\n${methodSections.join('\n\n')}`
+    : '';
+
+  return renderTemplate(loadTemplate('class'), {
+    id: cls.slug,
+    title: escapeYaml(`${kindLabel} - ${cls.name}`),
+    sidebarLabel: escapeYaml(cls.name),
+    heading: `${kindLabel}: ${escapeMarkdown(cls.name.replace(/\\/g, '\\\\'))}`,
+    notice: cls.deprecated ? deprecation(cls.deprecated, cls.kind) : '',
+    description: formatText(cls.description),
+    longDescription: formatText(cls.longDescription),
+    signature: cls.signature,
+    details,
+    since: cls.since.map((entry) => `- ${formatText(entry.text)}`).join('\n'),
+    source: sourceParts.join('\n\n'),
+    usedBy,
+    constants,
+    properties,
+    methods,
+  });
 }
 
 /**
- * Generate a _category_.json file for Docusaurus sidebar ordering
+ * Write a page for each class to {outputDir}/classes/{slug}.md
+ *
+ * Class pages list the hooks that pass the class as a parameter or return
+ * value, so these link both ways.
  */
-function generateCategoryJson(dir, label, position) {
-  if (!fs.existsSync(dir)) {
+function writeClassPages(outputDir, classes, hooks, resolveType) {
+  if (classes.length === 0) {
     return;
   }
 
-  const categoryPath = path.join(dir, '_category_.json');
-  const category = {
-    label,
-    position,
+  const findClass = createClassLookup(classes);
+
+  const hooksByClass = new Map();
+  const addHook = (slug, hook) => hooksByClass.set(slug, new Set([...(hooksByClass.get(slug) || []), hook]));
+  const collect = (hook, parameters) => {
+    for (const param of parameters) {
+      (param.typeRefs || [])
+        .filter((ref) => ref.slug && ref.product === hook.product)
+        .forEach((ref) => addHook(ref.slug, hook));
+      collect(hook, param.children || []);
+    }
   };
+  for (const hook of hooks) {
+    collect(hook, [...hook.parameters, ...(hook.returns ? [hook.returns] : [])]);
+  }
 
-  fs.writeFileSync(categoryPath, JSON.stringify(category, null, 2) + '\n');
-}
+  const subclassesOf = new Map();
+  for (const cls of classes) {
+    for (const parent of cls.extends) {
+      const target = findClass(parent, cls);
+      if (target) subclassesOf.set(target.slug, [...(subclassesOf.get(target.slug) || []), cls]);
+    }
+  }
 
-/**
- * Rename directory to lowercase if it exists
- */
-function lowercaseDirectory(dir, name) {
-  const upperPath = path.join(dir, name);
-  const lowerPath = path.join(dir, name.toLowerCase());
+  const dir = path.join(outputDir, 'classes');
+  fs.mkdirSync(dir, { recursive: true });
 
-  if (fs.existsSync(upperPath) && upperPath !== lowerPath) {
-    // Use a temp name to handle case-insensitive filesystems (macOS)
-    const tempPath = path.join(dir, `_temp_${name.toLowerCase()}`);
-    fs.renameSync(upperPath, tempPath);
-    fs.renameSync(tempPath, lowerPath);
+  for (const cls of classes) {
+    const content = renderClassPage(cls, {
+      resolveType,
+      hooks: [...(hooksByClass.get(cls.slug) || [])].sort((a, b) => a.name.localeCompare(b.name)),
+      subclasses: subclassesOf.get(cls.slug) || [],
+    });
+    fs.writeFileSync(path.join(dir, `${cls.slug}.md`), content);
   }
 }
 
 /**
- * Add tags to hook markdown files based on @since versions
- * Also converts the Since section to link to the tag pages
+ * Turn wp-hooks-documentor output into a product's docs directory
+ *
+ * The output is read into hook records once; the records are enriched, saved
+ * as the product's hook model (_hooks.json) and rendered to markdown. The
+ * classes declared in the source are saved to _classes.json and rendered to
+ * the class pages.
+ * Used for the develop docs (docs/{product}) and for each versioned copy.
  */
-function addTagsToHooks(outputDir) {
-  const dirs = ['actions', 'filters'];
+function processGeneratedDocs(product, config, { hooksDir, inputDir, outputDir, build }) {
+  const hooks = parseHooksDir(hooksDir, product.id);
 
-  for (const subdir of dirs) {
-    const dirPath = path.join(outputDir, subdir);
-    if (!fs.existsSync(dirPath)) continue;
+  // Read the classes, methods and properties declared in the source
+  const classes = inputDir ? extractClasses(inputDir, product.id, getIgnoredDirs(product, config)) : [];
 
-    const files = fs.readdirSync(dirPath).filter(f => f.endsWith('.md') && f !== 'index.md');
+  // Tag hooks with their @since versions
+  addSinceTags(hooks);
 
-    for (const file of files) {
-      const filePath = path.join(dirPath, file);
-      let content = fs.readFileSync(filePath, 'utf8');
+  // Link parameter types to the class pages, core classes and type-links.json
+  const resolveType = createProductTypeResolver(classes, product, config);
+  linkParameterTypes(hooks, resolveType);
 
-      // Extract @since versions from the "### Since" section
-      const sinceMatch = content.match(/### Since\n\n((?:- .+\n?)+)/);
-      const tags = [];
+  // Link source locations to the exact line on GitHub
+  linkSourceLocations(hooks, classes, product, config, build);
 
-      if (sinceMatch) {
-        // Extract all versions (handles multiple "- version" lines)
-        const versions = sinceMatch[1].match(/- ([^\n]+)/g);
-        if (versions) {
-          for (const v of versions) {
-            let version = v.replace(/^- /, '').trim();
-            // Skip versions with @link tags
-            if (version.includes('{@link')) continue;
-            // Extract just the version number (e.g., "1.18: Added feature" -> "1.18")
-            const versionMatch = version.match(/^([\d.]+)/);
-            if (versionMatch) {
-              tags.push(versionMatch[1]);
-            }
-          }
-        }
+  // Count the arguments each call passes, to check against the docblock
+  addCallArguments(hooks, inputDir);
 
-        // Convert Since section to use links to tag pages
-        // Replace "- 1.0" with "- [1.0](../../since/1-0/)"
-        // Path is ../../ because docs are in actions/ or filters/ subdirs
-        let newSinceSection = sinceMatch[0];
-        for (const tag of tags) {
-          const tagSlug = tag.replace(/\./g, '-');
-          newSinceSection = newSinceSection.replace(
-            new RegExp(`- ${tag.replace(/\./g, '\\.')}(?!\\])`, 'g'),
-            `- [${tag}](../../since/${tagSlug}/)`
-          );
-        }
-        content = content.replace(sinceMatch[0], newSinceSection);
-      }
+  // Show the code around each hook call
+  addSourceExcerpts(hooks, inputDir, product.excerptLines ?? config.defaults?.excerptLines ?? DEFAULT_EXCERPT_LINES);
 
-      // Add tags to frontmatter if we have any
-      if (tags.length > 0) {
-        const tagsYaml = `tags:\n${tags.map(t => `  - "${t}"`).join('\n')}`;
+  // Merge hand-written notes and examples from content/hooks/{product}/
+  applyOverlays(hooks, loadOverlays(product.id));
 
-        // Insert tags into frontmatter (before the closing ---)
-        if (content.match(/^---\n[\s\S]*?\n---/)) {
-          content = content.replace(/^(---\n[\s\S]*?)(---)/, `$1${tagsYaml}\n$2`);
-        }
-      }
+  // Link {@see} and {@link} references to hooks, classes and URLs
+  resolveReferences(hooks, classes, resolveType, product, config);
 
-      fs.writeFileSync(filePath, content);
-    }
-  }
+  writeProductDocs(product, outputDir, { hooks, classes, build, resolveType });
 }
 
 /**
- * Load type links configuration
+ * Write a product's models, hook and class pages and indexes
  */
-function loadTypeLinks() {
-  const typeLinksPath = path.join(PROJECT_ROOT, 'type-links.json');
-  if (!fs.existsSync(typeLinksPath)) {
-    return {};
-  }
-  try {
-    const config = JSON.parse(fs.readFileSync(typeLinksPath, 'utf8'));
-    return config.types || {};
-  } catch (err) {
-    console.warn('Warning: Could not parse type-links.json:', err.message);
-    return {};
-  }
+function writeProductDocs(product, outputDir, { hooks, classes, build, resolveType }) {
+  deleteDirRecursive(outputDir);
+  writeHookModel(outputDir, { product, build, hooks });
+  writeClassModel(outputDir, { product, build, classes });
+  writeHookPages(outputDir, hooks);
+  writeClassPages(outputDir, classes, hooks, resolveType);
+
+  // Generate index.md for the product and subdirectories
+  generateProductIndex(product, outputDir, hooks, classes, build);
+  generateActionsIndex(product, outputDir, hooks);
+  generateFiltersIndex(product, outputDir, hooks);
+  generateClassesIndex(product, outputDir, classes);
+  generateDeprecatedIndex(product, outputDir, hooks);
+
+  // Generate _category_.json files to control sidebar ordering
+  generateCategoryJson(path.join(outputDir, 'actions'), 'Actions', 2);
+  generateCategoryJson(path.join(outputDir, 'filters'), 'Filters', 3);
+  generateCategoryJson(path.join(outputDir, 'classes'), 'Classes', 6);
 }
 
 /**
- * Link parameter types in hook markdown files to their documentation
- * Converts `GF_Field_Address` or `\GF_Field_Address` to linked versions
+ * Resolve references to other products again once every product is generated
+ *
+ * A product generated before the product its {@see} references or parameter
+ * types point to couldn't link them, and a hook or class another product
+ * links to may have moved. Products whose links now resolve differently are
+ * rewritten from their models, and each product's referencesHash is updated
+ * in the manifest.
+ *
+ * @returns {string[]} Ids of the rewritten products
  */
-function linkParameterTypes(outputDir) {
-  const typeLinks = loadTypeLinks();
-  if (Object.keys(typeLinks).length === 0) return;
-
-  const dirs = ['actions', 'filters'];
-
-  for (const subdir of dirs) {
-    const dirPath = path.join(outputDir, subdir);
-    if (!fs.existsSync(dirPath)) continue;
-
-    const files = fs.readdirSync(dirPath).filter(f => f.endsWith('.md') && f !== 'index.md');
-
-    for (const file of files) {
-      const filePath = path.join(dirPath, file);
-      let content = fs.readFileSync(filePath, 'utf8');
-      let modified = false;
+function relinkCrossProductReferences(products, config, manifest) {
+  const outputDir = path.resolve(PROJECT_ROOT, config.outputDir);
+  const relinked = [];
 
-      // Process each type in the configuration
-      for (const [typeName, url] of Object.entries(typeLinks)) {
-        // Match `TypeName` or `\TypeName` in parameter tables
-        // The backticks indicate it's a type in the markdown table
-        // Capture the optional backslash to preserve it in the output
-        const pattern = new RegExp('`(\\\\?)' + escapeRegExp(typeName) + '`', 'g');
+  getOtherProductHooks(config, { reload: true });
+  getOtherProductClasses(config, { reload: true });
 
-        if (pattern.test(content)) {
-          // Reset lastIndex after test() for replace() to work correctly
-          pattern.lastIndex = 0;
-          // Replace with linked version, preserving the original format (with or without backslash)
-          content = content.replace(pattern, (match, backslash) => {
-            return `[\`${backslash}${typeName}\`](${url})`;
-          });
-          modified = true;
-        }
-      }
+  for (const product of products) {
+    const productDir = path.join(outputDir, product.id);
+    const records = readProductRecords(productDir);
+    if (!records) continue;
+
+    const { hooks, classes, build } = records;
+    const before = hashReferences(hooks, classes);
+    const resolveType = linkProductRecords(records, product, config);
+    const after = hashReferences(hooks, classes);
+
+    if (after !== before) {
+      writeProductDocs(product, productDir, { hooks, classes, build, resolveType });
+      relinked.push(product.id);
+    }
 
-      if (modified) {
-        fs.writeFileSync(filePath, content);
-      }
+    if (manifest.products[product.id]) {
+      manifest.products[product.id].referencesHash = after;
     }
   }
-}
 
-/**
- * Escape special regex characters in a string
- */
-function escapeRegExp(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return relinked;
 }
 
 /**
- * Run wp-hooks-documentor for a product
+ * Generate Docusaurus versioned docs for the release tags listed in `versions`
+ *
+ * Each tag is exported from the product's repo and generated like the develop
+ * docs. Tags don't move, so a version is only regenerated when the config or
+ * templates change. Versions no longer listed are removed.
  */
-function generateHooksDocs(product, config, options) {
-  const reposDir = path.resolve(PROJECT_ROOT, config.reposDir);
-  const outputBaseDir = path.resolve(PROJECT_ROOT, config.outputDir);
+async function generateVersionedDocs(product, config, options, manifest, logger) {
+  const tags = product.versions || [];
+  const paths = getVersionedPaths(PROJECT_ROOT, product.id);
+  const summary = { generated: [], skipped: [], failed: [], fingerprints: {} };
 
-  // Get repo directory name from repo path (org/repo -> repo)
   const repoName = product.repo.split('/')[1];
-  const repoDir = path.join(reposDir, repoName);
+  const repoDir = path.join(path.resolve(PROJECT_ROOT, config.reposDir), repoName);
+  const names = tags.map(versionName);
 
-  // Check if repo exists
-  if (!fs.existsSync(repoDir)) {
-    return {
-      ok: false,
-      id: product.id,
-      reason: `Repository not cloned. Run: npm run repos:clone -- --product ${product.id}`,
-    };
+  if (!options.dryRun) {
+    removeStaleVersions(paths, names);
   }
 
-  // Determine input directory (the cloned repo)
-  const inputDir = product.srcDir
-    ? path.join(repoDir, product.srcDir)
-    : repoDir;
-
-  if (!fs.existsSync(inputDir)) {
-    return {
-      ok: false,
-      id: product.id,
-      reason: `Source directory not found: ${inputDir}`,
-    };
+  if (tags.length === 0) {
+    return summary;
   }
 
-  // Final output directory for this product's hooks
-  const finalOutputDir = path.join(outputBaseDir, product.id);
-
-  if (options.dryRun) {
-    logInfo(`[DRY RUN] Would generate: ${product.id}`);
-    logInfo(`  Input: ${path.relative(PROJECT_ROOT, inputDir)}`);
-    logInfo(`  Output: ${path.relative(PROJECT_ROOT, finalOutputDir)}`);
-    return { ok: true, id: product.id, action: 'dry_run' };
+  if (!fs.existsSync(path.join(repoDir, '.git'))) {
+    summary.failed.push({ tag: tags.join(', '), reason: 'Versioned docs need a git clone of the repository' });
+    return summary;
   }
 
-  log(`\n${colors.cyan}=== ${product.label} (${product.id}) ===${colors.reset}`);
-  logInfo(`Input:  ${path.relative(PROJECT_ROOT, inputDir)}`);
-  logInfo(`Output: ${path.relative(PROJECT_ROOT, finalOutputDir)}`);
-
-  // Create a temporary working directory for wp-hooks-documentor
-  const tempWorkDir = path.join(PROJECT_ROOT, '.tmp-hooks-work', product.id);
-  const tempOutputDir = path.join(tempWorkDir, 'output');
+  const { configHash, templateHash, codeHash } = getBuildFingerprint(product, config, repoDir);
 
-  try {
-    // Clean up any previous temp directory
-    deleteDirRecursive(tempWorkDir);
-    fs.mkdirSync(tempWorkDir, { recursive: true });
-    fs.mkdirSync(tempOutputDir, { recursive: true });
-
-    // Create wp-hooks-doc.json in the temp directory with RELATIVE paths
-    const hooksConfig = {
-      input: inputDir,  // Absolute path to source
-      outputDir: './output',  // Relative to temp work dir
-      title: product.label,
-      tagline: `Hooks documentation for ${product.label}`,
-      ignoreFiles: config.defaults.ignoreFiles || [],
-      ignoreHooks: config.defaults.ignoreHooks || [],
-      customFields: config.defaults.customFields || {},
-      // Don't build the site, just generate markdown
-      skipBuild: true,
-      // Replace slashes with dashes in hook IDs for cleaner URLs
-      hookIdSlashReplacement: '-',
-    };
+  for (const tag of tags) {
+    const name = versionName(tag);
+    const versionDir = path.join(paths.docsDir, `version-${name}`);
+    const entry = manifest.versions?.[`${product.id}@${tag}`];
 
-    // Merge any product-specific overrides
-    if (product.ignoreFiles) {
-      hooksConfig.ignoreFiles = [...hooksConfig.ignoreFiles, ...product.ignoreFiles];
+    if (!options.force && fs.existsSync(versionDir)
+      && entry?.configHash === configHash && entry?.templateHash === templateHash && entry?.codeHash === codeHash) {
+      summary.skipped.push(name);
+      continue;
     }
-    if (product.ignoreHooks) {
-      hooksConfig.ignoreHooks = [...hooksConfig.ignoreHooks, ...product.ignoreHooks];
+
+    if (options.dryRun) {
+      logger.info(`[DRY RUN] Would generate version ${name} from ${tag}`);
+      continue;
     }
 
-    const configPath = path.join(tempWorkDir, 'wp-hooks-doc.json');
-    fs.writeFileSync(configPath, JSON.stringify(hooksConfig, null, 2));
+    logger.info(`Version ${name}: generating from ${tag}`);
 
-    // Run wp-hooks-documentor via npx from the temp directory
-    const result = spawnSync('npx', ['wp-hooks-documentor', 'generate', '--skip-build'], {
-      cwd: tempWorkDir,
-      stdio: 'inherit',
-      shell: false,
-    });
+    const workDir = path.join(PROJECT_ROOT, '.tmp-hooks-work', `${product.id}@${name}`);
+    deleteDirRecursive(workDir);
 
-    if (result.error) {
-      if (result.error.code === 'ENOENT') {
-        return {
-          ok: false,
-          id: product.id,
-          reason: 'wp-hooks-documentor not found. Run: npm install',
-        };
+    try {
+      const sourceDir = path.join(workDir, 'source');
+      const exported = exportRef(repoDir, tag, sourceDir);
+      if (!exported.ok) {
+        summary.failed.push({ tag, reason: exported.reason });
+        continue;
       }
-      return {
-        ok: false,
-        id: product.id,
-        reason: result.error.message,
-      };
-    }
 
-    if (result.status !== 0) {
-      return {
-        ok: false,
-        id: product.id,
-        reason: `Exit code ${result.status}`,
-      };
-    }
+      const inputDir = product.srcDir ? path.join(sourceDir, product.srcDir) : sourceDir;
+      if (!fs.existsSync(inputDir)) {
+        summary.failed.push({ tag, reason: `Source directory not found at ${tag}: ${product.srcDir}` });
+        continue;
+      }
 
-    // Find where the hooks were generated
-    // wp-hooks-documentor creates: output/docs/hooks/{Actions,Filters}
-    const generatedHooksDir = path.join(tempOutputDir, 'docs', 'hooks');
-
-    if (!fs.existsSync(generatedHooksDir)) {
-      // Try alternative location
-      const altHooksDir = path.join(tempOutputDir, 'hooks');
-      if (fs.existsSync(altHooksDir)) {
-        // Copy from alternative location
-        deleteDirRecursive(finalOutputDir);
-        copyDirRecursive(altHooksDir, finalOutputDir);
-      } else {
-        return {
-          ok: false,
-          id: product.id,
-          reason: 'No hooks documentation was generated',
-        };
+      const result = await runWpHooksDocumentor(product, config, inputDir, workDir, { buffered: logger.buffered });
+      if (result.output) {
+        logger.log(result.output);
       }
-    } else {
-      // Copy generated hooks to final location
-      deleteDirRecursive(finalOutputDir);
-      copyDirRecursive(generatedHooksDir, finalOutputDir);
+      if (!result.ok) {
+        summary.failed.push({ tag, reason: result.reason });
+        continue;
+      }
+
+      const build = getBuildInfo(product, config, repoDir, exported.sha);
+      processGeneratedDocs(product, config, {
+        hooksDir: result.hooksDir,
+        inputDir,
+        outputDir: versionDir,
+        build: { ...build, ref: tag },
+      });
+
+      fs.mkdirSync(paths.sidebarsDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(paths.sidebarsDir, `version-${name}-sidebars.json`),
+        JSON.stringify({ defaultSidebar: [{ type: 'autogenerated', dirName: '.' }] }, null, 2) + '\n'
+      );
+
+      summary.generated.push(name);
+      summary.fingerprints[`${product.id}@${tag}`] = { sha: exported.sha, commitDate: build.commitDate, configHash, templateHash, codeHash };
+    } finally {
+      deleteDirRecursive(workDir);
     }
+  }
 
-    // Rename Actions/Filters to lowercase for cleaner URLs
-    lowercaseDirectory(finalOutputDir, 'Actions');
-    lowercaseDirectory(finalOutputDir, 'Filters');
+  if (!options.dryRun) {
+    // versions.json lists what's on disk, newest first
+    const available = names
+      .filter((name) => fs.existsSync(path.join(paths.docsDir, `version-${name}`)))
+      .sort((a, b) => compareVersions(b, a));
 
-    // Add tags to hook files based on @since versions
-    addTagsToHooks(finalOutputDir);
+    if (available.length > 0) {
+      fs.writeFileSync(paths.versionsFile, JSON.stringify(available, null, 2) + '\n');
+    }
+  }
 
-    // Link parameter types to their documentation
-    linkParameterTypes(finalOutputDir);
+  return summary;
+}
 
-    // Generate index.md for the product and subdirectories
-    generateProductIndex(product, finalOutputDir);
-    generateActionsIndex(product, finalOutputDir);
-    generateFiltersIndex(product, finalOutputDir);
+/**
+ * Remove versioned docs for versions no longer listed in repos-config.json
+ */
+function removeStaleVersions(paths, names) {
+  if (fs.existsSync(paths.docsDir)) {
+    for (const dir of fs.readdirSync(paths.docsDir)) {
+      if (!names.includes(dir.replace(/^version-/, ''))) {
+        deleteDirRecursive(path.join(paths.docsDir, dir));
+      }
+    }
+  }
 
-    // Generate _category_.json files to control sidebar ordering
-    generateCategoryJson(path.join(finalOutputDir, 'actions'), 'Actions', 2);
-    generateCategoryJson(path.join(finalOutputDir, 'filters'), 'Filters', 3);
+  if (fs.existsSync(paths.sidebarsDir)) {
+    for (const file of fs.readdirSync(paths.sidebarsDir)) {
+      if (!names.includes(file.replace(/^version-/, '').replace(/-sidebars\.json$/, ''))) {
+        fs.rmSync(path.join(paths.sidebarsDir, file), { force: true });
+      }
+    }
+  }
 
-    return { ok: true, id: product.id, action: 'generated' };
-  } finally {
-    // Clean up temp directory
-    deleteDirRecursive(tempWorkDir);
+  if (names.length === 0) {
+    deleteDirRecursive(paths.docsDir);
+    deleteDirRecursive(paths.sidebarsDir);
+    fs.rmSync(paths.versionsFile, { force: true });
   }
 }
 
 /**
  * Generate an index.md file for a product's hooks documentation
  */
-function generateProductIndex(product, outputDir) {
+function generateProductIndex(product, outputDir, hooks, classes = [], build = {}) {
   const indexPath = path.join(outputDir, 'index.md');
 
-  // Check if actions and filters directories exist (lowercase)
-  const actionsDir = path.join(outputDir, 'actions');
-  const filtersDir = path.join(outputDir, 'filters');
-
-  const hasActions = fs.existsSync(actionsDir) && fs.readdirSync(actionsDir).filter(f => f.endsWith('.md')).length > 0;
-  const hasFilters = fs.existsSync(filtersDir) && fs.readdirSync(filtersDir).filter(f => f.endsWith('.md')).length > 0;
-
-  const actionCount = hasActions ? fs.readdirSync(actionsDir).filter(f => f.endsWith('.md')).length : 0;
-  const filterCount = hasFilters ? fs.readdirSync(filtersDir).filter(f => f.endsWith('.md')).length : 0;
+  const actionCount = hooks.filter((h) => h.type === 'action').length;
+  const filterCount = hooks.filter((h) => h.type === 'filter').length;
 
   const template = loadTemplate('product-index');
   const content = renderTemplate(template, {
@@ -510,92 +1397,147 @@ function generateProductIndex(product, outputDir) {
     totalHooks: actionCount + filterCount,
     actionCount,
     filterCount,
-    hasActions,
-    hasFilters,
+    hasActions: actionCount > 0,
+    hasFilters: filterCount > 0,
+    classCount: classes.length,
+    hasClasses: classes.length > 0,
+    ref: build.ref || '',
+    sha: build.sha || '',
+    shortSha: build.sha ? build.sha.slice(0, 7) : '',
+    commitDate: build.commitDate ? build.commitDate.slice(0, 10) : '',
   });
 
   fs.writeFileSync(indexPath, content);
 }
 
 /**
- * Extract sidebar_label from a markdown file's frontmatter
+ * Get the hooks of one type, sorted by name
  */
-function getHookLabel(filePath) {
-  try {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const match = content.match(/sidebar_label:\s*"([^"]+)"/);
-    return match ? match[1] : null;
-  } catch {
-    return null;
-  }
+function getHooksOfType(hooks, hookType) {
+  return hooks
+    .filter((h) => h.type === hookType)
+    .sort((a, b) => a.name.localeCompare(b.name));
 }
 
 /**
- * Get hook info (filename and display label) from a directory
+ * Generate an index.md file for the actions subdirectory
  */
-function getHooksFromDir(dir) {
-  if (!fs.existsSync(dir)) {
-    return [];
+function generateActionsIndex(product, outputDir, hooks) {
+  const actions = getHooksOfType(hooks, 'action');
+
+  if (actions.length === 0) {
+    return;
   }
 
-  return fs.readdirSync(dir)
-    .filter(f => f.endsWith('.md') && f !== 'index.md')
-    .map(f => {
-      const filename = f.replace('.md', '');
-      const label = getHookLabel(path.join(dir, f)) || filename;
-      return { filename, label };
-    })
-    .sort((a, b) => a.label.localeCompare(b.label));
+  const hookList = actions
+    .map(h => `- [${h.name}](./${h.id}.md)`)
+    .join('\n');
+
+  const template = loadTemplate('actions-index');
+  const content = renderTemplate(template, {
+    label: product.label,
+    count: actions.length,
+    hookList,
+  });
+
+  fs.writeFileSync(path.join(outputDir, 'actions', 'index.md'), content);
 }
 
 /**
- * Generate an index.md file for the actions subdirectory
+ * Generate an index.md file for the filters subdirectory
  */
-function generateActionsIndex(product, outputDir) {
-  const actionsDir = path.join(outputDir, 'actions');
-  const hooks = getHooksFromDir(actionsDir);
+function generateFiltersIndex(product, outputDir, hooks) {
+  const filters = getHooksOfType(hooks, 'filter');
 
-  if (hooks.length === 0) {
+  if (filters.length === 0) {
     return;
   }
 
-  const hookList = hooks
-    .map(h => `- [${h.label}](./${h.filename}.md)`)
+  const hookList = filters
+    .map(h => `- [${h.name}](./${h.id}.md)`)
     .join('\n');
 
-  const template = loadTemplate('actions-index');
+  const template = loadTemplate('filters-index');
   const content = renderTemplate(template, {
     label: product.label,
-    count: hooks.length,
+    count: filters.length,
     hookList,
   });
 
-  fs.writeFileSync(path.join(actionsDir, 'index.md'), content);
+  fs.writeFileSync(path.join(outputDir, 'filters', 'index.md'), content);
 }
 
 /**
- * Generate an index.md file for the filters subdirectory
+ * Generate an index.md file for the classes subdirectory, grouped by namespace
+ */
+function generateClassesIndex(product, outputDir, classes) {
+  if (classes.length === 0) {
+    return;
+  }
+
+  const namespaces = [...new Set(classes.map((cls) => cls.namespace))].sort((a, b) => a.localeCompare(b));
+
+  const classList = namespaces
+    .map((namespace) => {
+      const items = classes
+        .filter((cls) => cls.namespace === namespace)
+        .map((cls) => {
+          const kind = cls.kind === 'class' ? '' : ` *(${cls.kind})*`;
+          const description = linkReferences(cls.description, cls.references, (reference) => referenceHref(reference, cls), escapeMarkdown);
+          return `- [${cls.shortName}](./${cls.slug}.md)${kind}${description ? ` — ${description}` : ''}`;
+        })
+        .join('\n');
+      return `## ${namespace ? `\`${namespace}\`` : 'Global namespace'}\n\n${items}`;
+    })
+    .join('\n\n');
+
+  const template = loadTemplate('classes-index');
+  const content = renderTemplate(template, {
+    label: product.label,
+    count: classes.length,
+    classList,
+  });
+
+  fs.writeFileSync(path.join(outputDir, 'classes', 'index.md'), content);
+}
+
+/**
+ * Generate a deprecated.md page listing deprecated hooks and their replacements
  */
-function generateFiltersIndex(product, outputDir) {
-  const filtersDir = path.join(outputDir, 'filters');
-  const hooks = getHooksFromDir(filtersDir);
+function generateDeprecatedIndex(product, outputDir, hooks) {
+  const deprecatedHooks = hooks.filter((h) => h.deprecated);
 
-  if (hooks.length === 0) {
+  if (deprecatedHooks.length === 0) {
     return;
   }
 
-  const hookList = hooks
-    .map(h => `- [${h.label}](./${h.filename}.md)`)
+  const hooksByName = new Map(hooks.map((h) => [h.name, h]));
+
+  const hookRows = [...deprecatedHooks]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((h) => {
+      const replacementName = h.deprecated.replacement;
+      const replacementHook = replacementName && hooksByName.get(replacementName);
+
+      let replacement = '—';
+      if (replacementHook) {
+        replacement = hookPageLink(replacementHook, './');
+      } else if (replacementName) {
+        replacement = `\`${replacementName}\``;
+      }
+
+      return `| ${hookPageLink(h, './')} | ${h.type} | ${h.deprecated.since || '—'} | ${replacement} |`;
+    })
     .join('\n');
 
-  const template = loadTemplate('filters-index');
+  const template = loadTemplate('deprecated-index');
   const content = renderTemplate(template, {
     label: product.label,
-    count: hooks.length,
-    hookList,
+    count: deprecatedHooks.length,
+    hookRows,
   });
 
-  fs.writeFileSync(path.join(filtersDir, 'index.md'), content);
+  fs.writeFileSync(path.join(outputDir, 'deprecated.md'), content);
 }
 
 /**
@@ -606,7 +1548,7 @@ function generateMainIndex(config, results) {
   const indexPath = path.join(outputDir, 'index.md');
 
   const successfulProducts = results
-    .filter((r) => r.ok && r.action === 'generated')
+    .filter((r) => r.ok && (r.action === 'generated' || r.action === 'skipped'))
     .map((r) => config.products.find((p) => p.id === r.id))
     .filter(Boolean);
 
@@ -691,6 +1633,8 @@ function parseArgs(args) {
   const options = {
     product: null,
     dryRun: false,
+    force: false,
+    parallel: 1,
     help: false,
     list: false,
   };
@@ -702,6 +1646,10 @@ function parseArgs(args) {
       options.product = args[++i];
     } else if (arg === '--dry-run' || arg === '-n') {
       options.dryRun = true;
+    } else if (arg === '--force' || arg === '-f') {
+      options.force = true;
+    } else if (arg === '--parallel' || arg === '-j') {
+      options.parallel = parseInt(args[++i], 10) || 1;
     } else if (arg === '--help' || arg === '-h') {
       options.help = true;
     } else if (arg === '--list' || arg === '-l') {
@@ -725,6 +1673,8 @@ ${colors.cyan}Usage:${colors.reset}
 ${colors.cyan}Options:${colors.reset}
   --product, -p <id>    Generate docs for a specific product only (exact ID match)
   --dry-run, -n         Preview what would be generated without making changes
+  --force, -f           Regenerate products even if their repo, config and templates are unchanged
+  --parallel, -j <n>    Number of products to generate at once (default: 1)
   --list, -l            List all available product IDs
   --help, -h            Show this help message
 
@@ -733,6 +1683,13 @@ ${colors.cyan}Examples:${colors.reset}
   npm run hooks:generate -- --list            # Show all product IDs
   npm run hooks:generate -- -p gravityview    # Generate only GravityView
   npm run hooks:generate -- --dry-run         # Preview mode
+  npm run hooks:generate -- --force           # Regenerate everything
+  npm run hooks:generate -- -j 4              # Generate 4 products at once
+
+${colors.cyan}Versioned docs:${colors.reset}
+  Products with "versions" (release tags) in repos-config.json also get
+  Docusaurus versioned docs ({id}_versioned_docs/), one per tag. The newest
+  stable tag is served at /docs/{id}/; develop moves to /docs/{id}/develop/.
 
 ${colors.cyan}Prerequisites:${colors.reset}
   1. Install dependencies: npm install
@@ -772,7 +1729,7 @@ async function main() {
 
   let config;
   try {
-    config = loadConfig();
+    config = loadReposConfig();
     logSuccess(`Loaded ${config.products.length} products from repos-config.json`);
   } catch (err) {
     logError(`Failed to load configuration: ${err.message}`);
@@ -845,26 +1802,102 @@ async function main() {
     fs.mkdirSync(outputDir, { recursive: true });
   }
 
-  logStep(`Generating hooks documentation for ${products.length} products`);
+  logStep(`Generating hooks documentation for ${products.length} products (parallel: ${options.parallel})`);
 
   if (options.dryRun) {
     logWarning('DRY RUN MODE - No files will be created or modified');
   }
 
-  const results = [];
-  for (const product of products) {
-    const result = generateHooksDocs(product, config, options);
-    results.push(result);
+  const manifest = loadManifest();
+
+  // Buffer and prefix each product's output when several run at once
+  const buffered = options.parallel > 1;
+  let fatalError = false;
+
+  const poolResults = await runWorkerPool(products, options.parallel, async (product) => {
+    // Stop picking up new products after a fatal error (like missing tool)
+    if (fatalError) {
+      return null;
+    }
+
+    const logger = createProductLogger(product.id, buffered);
+    const result = await generateHooksDocs(product, config, options, manifest, logger);
+    if (result.ok) {
+      result.versions = await generateVersionedDocs(product, config, options, manifest, logger);
+    }
+    logger.flush();
 
-    // Stop on fatal errors (like missing tool)
     if (!result.ok && result.reason.includes('wp-hooks-documentor not found')) {
-      break;
+      fatalError = true;
+    }
+
+    return result;
+  });
+
+  const results = poolResults.filter(Boolean);
+
+  for (const result of results) {
+    if (result.ok && result.action === 'generated') {
+      manifest.products[result.id] = {
+        ...result.fingerprint,
+        generated: new Date().toISOString(),
+      };
+    }
+
+    for (const [key, fingerprint] of Object.entries(result.versions?.fingerprints || {})) {
+      manifest.versions[key] = { ...fingerprint, generated: new Date().toISOString() };
+    }
+  }
+
+  // Link references to products generated later in this run
+  if (!options.dryRun) {
+    const relinked = relinkCrossProductReferences(
+      products.filter((product) => results.some((r) => r.ok && r.id === product.id)),
+      config,
+      manifest,
+    );
+    if (relinked.length > 0) {
+      logInfo(`Relinked references to other products: ${relinked.join(', ')}`);
+    }
+  }
+
+  // Record the commit each regenerated product (and version) was built from
+  const buildManifest = loadBuildManifest();
+  for (const result of results) {
+    if (!result.ok || result.action === 'dry_run') continue;
+
+    const product = config.products.find((p) => p.id === result.id);
+    const entry = { ...buildManifest.products[result.id] };
+
+    if (result.action === 'generated') {
+      Object.assign(entry, result.build, { generated: new Date().toISOString() });
+    }
+
+    // Keep entries of unchanged versions, drop versions no longer listed
+    const listed = new Set((product.versions || []).map(versionName));
+    const versions = Object.fromEntries(
+      Object.entries(entry.versions || {}).filter(([name]) => listed.has(name))
+    );
+    for (const [key, fingerprint] of Object.entries(result.versions?.fingerprints || {})) {
+      const tag = key.slice(result.id.length + 1);
+      versions[versionName(tag)] = { ref: tag, sha: fingerprint.sha, commitDate: fingerprint.commitDate };
+    }
+
+    delete entry.versions;
+    if (Object.keys(versions).length > 0) {
+      entry.versions = versions;
+    }
+
+    if (entry.repo) {
+      buildManifest.products[result.id] = entry;
     }
   }
 
   // Generate main index if not dry run and we generated something
   if (!options.dryRun && results.some((r) => r.ok)) {
     generateMainIndex(config, results);
+    saveManifest(manifest);
+    saveBuildManifest(buildManifest, config);
   }
 
   // Clean up temp work directory
@@ -875,18 +1908,90 @@ async function main() {
   logStep('Summary');
 
   const generated = results.filter((r) => r.ok && r.action === 'generated');
+  const skipped = results.filter((r) => r.ok && r.action === 'skipped');
   const dryRuns = results.filter((r) => r.ok && r.action === 'dry_run');
   const failed = results.filter((r) => !r.ok);
+  const versioned = results.filter((r) => r.versions && (r.versions.generated.length > 0 || r.versions.failed.length > 0));
+  const failedVersions = results.flatMap((r) => (r.versions?.failed || []).map((v) => ({ id: r.id, ...v })));
 
   if (generated.length > 0) {
     logSuccess(`Generated: ${generated.length}`);
     generated.forEach((r) => console.log(`    ${r.id}`));
   }
 
+  if (skipped.length > 0) {
+    logInfo(`Unchanged (skipped): ${skipped.length}`);
+    logInfo('Use --force to regenerate them anyway');
+  }
+
   if (dryRuns.length > 0) {
     logInfo(`Would generate: ${dryRuns.length}`);
   }
 
+  if (versioned.length > 0) {
+    logSuccess('Versioned docs:');
+    versioned.forEach((r) => {
+      const parts = [...r.versions.generated, ...r.versions.skipped.map((name) => `${name} (unchanged)`)];
+      console.log(`    ${r.id}: ${parts.join(', ') || 'none'}`);
+    });
+  }
+
+  // Overlays are checked against the develop docs, including skipped products
+  const orphanOverlays = results
+    .filter((r) => r.ok && r.action !== 'dry_run')
+    .flatMap((r) => {
+      const hooks = readHookModel(path.join(outputDir, r.id))?.hooks;
+      return hooks ? findOrphanOverlays(hooks, loadOverlays(r.id)) : [];
+    });
+
+  // Unresolved {@see}/{@link} references, also from the hook and class models
+  const unresolvedReferences = results
+    .filter((r) => r.ok && r.action !== 'dry_run')
+    .flatMap((r) => [
+      ...(readHookModel(path.join(outputDir, r.id))?.hooks || []),
+      ...(readClassModel(path.join(outputDir, r.id))?.classes || []),
+    ]
+      .flatMap((record) => (record.references || [])
+        .filter((reference) => !reference.kind)
+        .map((reference) => `${r.id}: ${record.name} → ${reference.target}`)));
+
+  // Class names in parameter and return types without a type link
+  const unresolvedTypeNames = results
+    .filter((r) => r.ok && r.action !== 'dry_run')
+    .flatMap((r) => {
+      const hooksByType = new Map();
+      for (const hook of readHookModel(path.join(outputDir, r.id))?.hooks || []) {
+        for (const { name } of unresolvedTypes(hook)) {
+          hooksByType.set(name, new Set([...(hooksByType.get(name) || []), hook.name]));
+        }
+      }
+      return [...hooksByType]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, hookNames]) => `${r.id}: ${name} (${hookNames.size} hook${hookNames.size === 1 ? '' : 's'})`);
+    });
+
+  if (unresolvedTypeNames.length > 0) {
+    logWarning(`Parameter types without a type link: ${unresolvedTypeNames.length} (add them to type-links.json)`);
+    unresolvedTypeNames.forEach((line) => console.log(`    ${line}`));
+  }
+
+  if (unresolvedReferences.length > 0) {
+    logWarning(`Unresolved {@see}/{@link} references: ${unresolvedReferences.length}`);
+    unresolvedReferences.forEach((line) => console.log(`    ${line}`));
+  }
+
+  if (orphanOverlays.length > 0) {
+    logWarning(`Overlays for hooks that no longer exist: ${orphanOverlays.length}`);
+    orphanOverlays.forEach((file) => console.log(`    ${file}`));
+  }
+
+  if (failedVersions.length > 0) {
+    logError(`Failed versions: ${failedVersions.length}`);
+    failedVersions.forEach((v) => {
+      console.log(`    ${v.id}@${v.tag}: ${v.reason}`);
+    });
+  }
+
   if (failed.length > 0) {
     logError(`Failed: ${failed.length}`);
     failed.forEach((r) => {
@@ -896,7 +2001,7 @@ async function main() {
 
   console.log('');
 
-  if (failed.length > 0) {
+  if (failed.length > 0 || failedVersions.length > 0) {
     logWarning('Some products failed. Check the errors above.');
     return 1;
   }
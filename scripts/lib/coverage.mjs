@@ -0,0 +1,69 @@
+/**
+ * Documentation Coverage
+ *
+ * Measures how completely each product's hooks are documented, from the hook
+ * model records, and keeps a history of the measurements across builds for
+ * the /coverage page.
+ */
+
+export const COVERAGE_METRICS = [
+  { key: 'description', label: 'Descriptions', help: 'Docblock summary, not generated from the hook name' },
+  { key: 'since', label: 'Since', help: '@since tag with a version' },
+  { key: 'typedParams', label: 'Typed parameters', help: 'Every parameter and array key has a type' },
+  { key: 'examples', label: 'Examples', help: 'Hand-written example, in the docblock or content/hooks/' },
+];
+
+// Builds kept per product
+const HISTORY_LIMIT = 100;
+
+/**
+ * Whether every parameter, including array keys, has a type
+ */
+function allTyped(parameters) {
+  return parameters.every((p) => p.type && allTyped(p.children || []));
+}
+
+/**
+ * Whether a hook has an example written by hand rather than generated
+ */
+function hasWrittenExample(hook) {
+  const sections = [...hook.sections, ...(hook.overlay?.sections || [])];
+  return sections.some((section) => /^examples?$/i.test(section.title.trim()));
+}
+
+/**
+ * Count the hooks meeting each coverage metric
+ *
+ * @param {object[]} hooks Hook model records (see hook-model.mjs)
+ * @returns {{hooks: number, description: number, since: number, typedParams: number, examples: number}}
+ */
+export function measureCoverage(hooks) {
+  return {
+    hooks: hooks.length,
+    description: hooks.filter((hook) => hook.description).length,
+    since: hooks.filter((hook) => hook.since.some((s) => s.version)).length,
+    typedParams: hooks.filter((hook) => allTyped(hook.parameters)).length,
+    examples: hooks.filter(hasWrittenExample).length,
+  };
+}
+
+/**
+ * Add a measurement to a product's history
+ *
+ * A measurement is only added when the product was built from another commit
+ * or its counts changed, so rerunning a build doesn't add duplicates.
+ *
+ * @param {Array<object>} history Earlier entries, oldest first
+ * @param {object} entry { date, sha, ...counts }
+ * @returns {Array<object>} The updated history
+ */
+export function addCoverageEntry(history, entry) {
+  const last = history[history.length - 1];
+  const keys = ['sha', 'hooks', ...COVERAGE_METRICS.map((m) => m.key)];
+
+  if (last && keys.every((key) => last[key] === entry[key])) {
+    return history;
+  }
+
+  return [...history, entry].slice(-HISTORY_LIMIT);
+}
@@ -0,0 +1,190 @@
+/**
+ * Docblock References
+ *
+ * Resolves `{@see ...}`, `{@link ...}` and inline `@see ...` references in
+ * docblock text to documented hooks, to class pages or other
+ * classes with a type link (see type-links.mjs), and to URLs, and turns them
+ * into markdown links.
+ *
+ *   {@see gravityview/view/before}       -> the hook's page
+ *   {@see \GV\View::get()}               -> the class page (see php-api.mjs)
+ *   {@see \GF_Field::get_value()}        -> the class's documentation
+ *   {@link https://example.com/ Example} -> [Example](https://example.com/)
+ */
+
+import { resolveHookName } from './hook-patterns.mjs';
+
+// {@see target label} / {@link target label}, or a bare "@see target" in running text
+const REFERENCE_REGEX = /\{@(?:see|link)\s+([^\s}]+)(?:\s+([^}]*?))?\s*\}|(?<![\w{])@see\s+([^\s,;]+)/g;
+
+/**
+ * Find the references in a text
+ *
+ * @returns {Array<{match: string, target: string, label: string|null}>}
+ */
+export function findReferences(text) {
+  if (!text) {
+    return [];
+  }
+
+  return [...text.matchAll(REFERENCE_REGEX)].map((m) => ({
+    match: m[0],
+    // Bare @see references end at the end of the sentence
+    target: m[1] ?? m[3].replace(/[.)]+$/, ''),
+    label: m[2] || null,
+  }));
+}
+
+/**
+ * Create a resolver for reference targets
+ *
+ * Exact hook names come first, then classes (the product's own before those
+ * with a type link), then concrete names of dynamic hooks. Hooks of the
+ * product itself are preferred over those of other products.
+ *
+ * @param {object} options
+ * @param {object[]} options.hooks        The product's hook records
+ * @param {object[]} [options.otherHooks] Records of other products, each with `url` set
+ * @param {Function} [options.findClass]  Lookup of the classes with a page, see createClassLookup();
+ *   classes of another product have their page's `url` set
+ * @param {Function} [options.resolveType] Type link resolver, see createTypeResolver()
+ * @returns {(target: string) => object|null} { kind: 'hook'|'class'|'url', ... } or null
+ */
+export function createReferenceResolver({ hooks, otherHooks = [], findClass = () => null, resolveType = () => null }) {
+  const toHookReference = (hook) => ({
+    kind: 'hook',
+    product: hook.product,
+    type: hook.type,
+    id: hook.id,
+    name: hook.name,
+    ...(hook.url ? { url: hook.url } : {}),
+  });
+
+  // Names made only of placeholders, like "{$hook}", would match anything
+  const hasLiteral = (hook) => hook.pattern.template.replace(/\{\w+\}/g, '') !== '';
+
+  return (target) => {
+    if (/^https?:\/\//i.test(target)) {
+      return { kind: 'url', url: target };
+    }
+
+    const name = target.replace(/^['"]|['"]$/g, '');
+    const exact = hooks.find((hook) => hook.name === name) || otherHooks.find((hook) => hook.name === name);
+    if (exact) {
+      return toHookReference(exact);
+    }
+
+    // Class, Class::method() or Class::$property
+    const className = name.replace(/^\\/, '').replace(/::.*$/, '').replace(/\(\)$/, '');
+    const cls = findClass(className);
+    if (cls) {
+      // Methods have their own heading on the class page
+      const member = name.match(/::(\w+)(\(\))?$/)?.[1];
+      const method = member && cls.methods.find((m) => m.name.toLowerCase() === member.toLowerCase());
+      const anchor = method ? method.name.toLowerCase() : null;
+      return {
+        kind: 'class',
+        product: cls.product,
+        name: cls.name,
+        slug: cls.slug,
+        ...(anchor ? { anchor } : {}),
+        ...(cls.url ? { url: anchor ? `${cls.url}#${anchor}` : cls.url } : {}),
+      };
+    }
+    const typeLink = resolveType(className);
+    if (typeLink?.url) {
+      return { kind: 'class', name: className, url: typeLink.url };
+    }
+
+    for (const candidates of [hooks, otherHooks]) {
+      const [resolved] = resolveHookName(name, candidates.filter((hook) => hook.pattern && hasLiteral(hook)));
+      if (resolved) {
+        return toHookReference(resolved.hook);
+      }
+    }
+
+    return null;
+  };
+}
+
+/**
+ * Texts of a hook record that may contain references
+ */
+export function referenceTexts(hook) {
+  const parameterTexts = (parameters) => parameters.flatMap((p) => [p.description, ...parameterTexts(p.children || [])]);
+
+  return [
+    hook.description,
+    hook.longDescription,
+    ...parameterTexts(hook.parameters),
+    hook.returns?.description,
+    ...hook.since.map((s) => s.text),
+    hook.deprecated?.note,
+    ...hook.sections.map((s) => s.content),
+    hook.overlay?.notes,
+    ...(hook.overlay?.sections || []).map((s) => s.content),
+  ].filter(Boolean);
+}
+
+/**
+ * Texts of a class record that may contain references
+ */
+export function classReferenceTexts(cls) {
+  const memberTexts = (members) => members.flatMap((m) => [m.description, m.longDescription, m.deprecated?.note]);
+
+  return [
+    cls.description,
+    cls.longDescription,
+    cls.deprecated?.note,
+    ...memberTexts(cls.constants),
+    ...memberTexts(cls.properties),
+    ...memberTexts(cls.methods),
+    ...cls.methods.flatMap((m) => [...m.parameters.map((p) => p.description), m.returns?.description]),
+  ].filter(Boolean);
+}
+
+/**
+ * Replace the references in a text with links
+ *
+ * Unresolved references keep their target as inline code. `escape` is
+ * applied to the text around the references, e.g. to escape markdown.
+ *
+ * @param {string} text
+ * @param {object[]} references The hook's references (hook.references)
+ * @param {(reference: object) => string} hrefFor URL of a resolved reference
+ * @param {(text: string) => string} [escape]
+ */
+export function linkReferences(text, references, hrefFor, escape = (t) => t) {
+  if (!text) {
+    return text;
+  }
+
+  const byTarget = new Map((references || []).map((r) => [r.target, r]));
+  let result = '';
+  let lastIndex = 0;
+
+  for (const m of text.matchAll(REFERENCE_REGEX)) {
+    const [reference] = findReferences(m[0]);
+    const resolved = byTarget.get(reference.target);
+    const href = resolved?.kind ? hrefFor(resolved) : null;
+
+    const label = reference.label
+      || (resolved?.kind === 'url' ? reference.target : `\`${reference.target.replace(/^['"]|['"]$/g, '')}\``);
+    // Keep the punctuation a bare @see reference ended with
+    const trailing = m[3] ? m[3].slice(reference.target.length) : '';
+
+    result += escape(text.slice(lastIndex, m.index));
+    result += href ? `[${label}](${href})` : label;
+    result += escape(trailing);
+    lastIndex = m.index + m[0].length;
+  }
+
+  return result + escape(text.slice(lastIndex));
+}
+
+/**
+ * Reduce markdown links in a text to their labels, for plain-text fields
+ */
+export function stripLinks(text) {
+  return text ? text.replace(/\[([^\]]+)\]\([^)\s]+\)/g, '$1') : text;
+}
@@ -0,0 +1,86 @@
+/**
+ * Git Helpers
+ *
+ * Shared by scripts that read other refs of the cloned product repos.
+ */
+
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Run a git command in a repository
+ */
+export function git(args, cwd) {
+  const result = spawnSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: 'pipe',
+  });
+
+  return {
+    ok: !result.error && result.status === 0,
+    stdout: (result.stdout || '').trim(),
+    stderr: (result.stderr || result.error?.message || '').trim(),
+  };
+}
+
+/**
+ * Export the source tree at a ref into a directory
+ *
+ * Refs that are not available in the shallow clone are fetched first.
+ */
+export function exportRef(repoDir, ref, destDir) {
+  let treeish = ref;
+
+  if (!git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], repoDir).ok) {
+    const fetch = git(['fetch', '--depth', '1', '--no-tags', 'origin', ref], repoDir);
+    if (!fetch.ok) {
+      return { ok: false, reason: `Could not fetch ${ref}: ${fetch.stderr || 'fetch failed'}` };
+    }
+    treeish = 'FETCH_HEAD';
+  }
+
+  const sha = git(['rev-parse', `${treeish}^{commit}`], repoDir).stdout;
+
+  fs.mkdirSync(destDir, { recursive: true });
+  const archivePath = `${destDir}.tar`;
+
+  const archive = git(['archive', '--format=tar', '-o', archivePath, treeish], repoDir);
+  if (!archive.ok) {
+    return { ok: false, reason: `Could not export ${ref}: ${archive.stderr}` };
+  }
+
+  const extract = spawnSync('tar', ['-xf', archivePath, '-C', destDir], {
+    encoding: 'utf8',
+    stdio: 'pipe',
+  });
+  fs.rmSync(archivePath, { force: true });
+
+  if (extract.error || extract.status !== 0) {
+    return { ok: false, reason: `Could not extract ${ref}: ${extract.stderr || extract.error?.message}` };
+  }
+
+  return { ok: true, sha };
+}
+
+/**
+ * Get the SHA and committer date (ISO 8601) of a commit
+ *
+ * Returns null for directories that aren't a git checkout of their own, such
+ * as products copied from a local source, so the site repo's HEAD is never
+ * picked up by mistake.
+ */
+export function getCommitInfo(repoDir, ref = 'HEAD') {
+  if (!fs.existsSync(path.join(repoDir, '.git'))) {
+    return null;
+  }
+
+  const result = git(['show', '-s', '--format=%H %cI', `${ref}^{commit}`], repoDir);
+  if (!result.ok) {
+    return null;
+  }
+
+  const [sha, date] = result.stdout.split(' ');
+  return { sha, date };
+}
@@ -0,0 +1,109 @@
+/**
+ * Hook Call Arguments
+ *
+ * Reads the arguments of a do_action()/apply_filters() call from its source,
+ * so the parameters a docblock declares can be checked against what the call
+ * actually passes.
+ */
+
+const CALL_REGEX = /\b(do_action|apply_filters)(_ref_array|_deprecated)?\s*\(/;
+
+/**
+ * Find the end of a quoted string starting at `start`, or -1
+ */
+function skipString(code, start) {
+  const quote = code[start];
+  for (let i = start + 1; i < code.length; i++) {
+    if (code[i] === '\\') {
+      i++;
+    } else if (code[i] === quote) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split the contents of a parenthesised list at its top-level commas
+ *
+ * @param {string} code   Source starting right after the opening bracket
+ * @param {string} closer The closing bracket, ")" or "]"
+ * @returns {string[]|null} Trimmed items, or null when the list isn't closed
+ */
+function splitList(code, closer) {
+  const items = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = 0; i < code.length; i++) {
+    const char = code[i];
+
+    if (char === '"' || char === "'") {
+      const end = skipString(code, i);
+      if (end === -1) return null;
+      current += code.slice(i, end + 1);
+      i = end;
+      continue;
+    }
+
+    if (depth === 0 && char === closer) {
+      items.push(current.trim());
+      return items.filter((item, index) => item !== '' || index < items.length - 1);
+    }
+
+    if ('([{'.includes(char)) depth++;
+    if (')]}'.includes(char)) depth--;
+
+    if (depth === 0 && char === ',') {
+      items.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Items of a literal `array( ... )` or `[ ... ]`, or null for anything else
+ */
+function literalArrayItems(expression) {
+  const match = expression.match(/^(?:array\s*\(|\[)/i);
+  if (!match) {
+    return null;
+  }
+
+  const closer = match[0].endsWith('[') ? ']' : ')';
+  const items = splitList(expression.slice(match[0].length), closer);
+  return items && items.filter(Boolean);
+}
+
+/**
+ * Count the arguments a hook call passes to its callbacks
+ *
+ * The hook name is not counted. For the _ref_array and _deprecated variants
+ * the arguments are the items of the array passed second.
+ *
+ * @param {string} code Source starting at (or just before) the call
+ * @returns {number|null} null when the call can't be read, or its arguments
+ *   are built at runtime
+ */
+export function countCallArguments(code) {
+  const match = code.match(CALL_REGEX);
+  if (!match) {
+    return null;
+  }
+
+  const args = splitList(code.slice(match.index + match[0].length), ')');
+  if (!args || args.length === 0) {
+    return null;
+  }
+
+  if (!match[2]) {
+    return args.length - 1;
+  }
+
+  const items = args[1] !== undefined ? literalArrayItems(args[1]) : null;
+  return items ? items.length : null;
+}
@@ -0,0 +1,427 @@
+/**
+ * Hook Model
+ *
+ * The canonical record of a documented hook. `npm run hooks:generate` reads
+ * the wp-hooks-documentor output into these records once (lib/hook-parser.mjs),
+ * enriches them, renders the hook pages from them and saves them to
+ * {product docs dir}/_hooks.json. Every later stage (indexes, listeners, the
+ * JSON API, changelogs) reads that file instead of the generated markdown.
+ *
+ * @typedef {object} HookParameter
+ * @property {string} name         Name without the leading $
+ * @property {string} type         Type as documented, e.g. "array|\\WP_Post|null"
+ * @property {string} description
+ * @property {boolean} optional    Description starts with "Optional."
+ * @property {string|null} default Value from "Default ..." in the description
+ * @property {HookParameter[]} [children] Keys of an array parameter
+ * @property {TypeRef[]} [typeRefs] Class names in the type and their links, see type-links.mjs
+ *
+ * @typedef {object} TypeRef
+ * @property {string} name          Class name as written in the type
+ * @property {'class'|'core'|'manual'} [source] Where it resolved; missing when unresolved
+ * @property {string} [product]     Product of the class page (source "class")
+ * @property {string} [slug]        Slug of the class page (source "class")
+ * @property {string} [url]         Documentation link (sources "core" and "manual", and
+ *   "class" for another product's class)
+ *
+ * @typedef {object} HookRecord
+ * @property {string} id            Page slug
+ * @property {string} name          Hook name, dynamic segments in braces
+ * @property {'action'|'filter'} type
+ * @property {string} product       Product id
+ * @property {object|null} pattern  parseHookPattern() result for dynamic names
+ * @property {string} description   Docblock summary, empty when missing
+ * @property {string} longDescription Remaining docblock paragraphs
+ * @property {HookParameter[]} parameters
+ * @property {{type: string, description: string, typeRefs?: TypeRef[]}|null} returns
+ *   From @return, as documented by wp-hooks-documentor for filters
+ * @property {Array<{version: string|null, text: string}>} since
+ * @property {string[]} tags        Versions the page is tagged with
+ * @property {{since: string|null, replacement: string|null, note: string|null}|null} deprecated
+ * @property {{file: string, line: number, argumentCount?: number|null, url?: string, editUrl?: string}|null} source
+ *   argumentCount is the number of arguments the call passes, see countCallArguments()
+ * @property {object|null} excerpt  Code around the call, see addSourceExcerpts()
+ * @property {Array<{level: number, title: string, content: string}>} sections
+ *   Other sections from the docblock (custom fields)
+ * @property {string[]} categories
+ * @property {{closure: string, function: string, method: string, remove: string}} examples
+ *   Usage examples, see generateExamples()
+ * @property {{file: string, notes: string, sections: Array<{title: string, content: string}>}|null} [overlay]
+ *   Hand-written content from content/hooks/{product}/{id}.md, see hook-overlays.mjs
+ * @property {Array<{target: string, kind: 'hook'|'class'|'url'|null, url?: string, slug?: string}>} [references]
+ *   {@see}/{@link} targets in the docblock, see resolveReferences() in generate-hooks.mjs
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { linkReferences } from './doc-references.mjs';
+
+export const HOOK_MODEL_FILE = '_hooks.json';
+export const HOOK_MODEL_VERSION = 4;
+
+/**
+ * Generate a description from hook name and type when one doesn't exist
+ */
+export function generateDescription(hookName, hookType, params = []) {
+  // Parse the hook name to extract meaningful parts
+  const parts = hookName.split(/[/_]/).filter(Boolean);
+
+  // Build description from parts
+  const action = hookType === 'action' ? 'Fires' : 'Filters';
+  const context = parts.slice(-2).join(' ').replace(/-/g, ' ');
+
+  // Identify common patterns
+  if (hookName.includes('/before')) {
+    return `${action} before ${context.replace('before', '').trim()} processing.`;
+  }
+  if (hookName.includes('/after')) {
+    return `${action} after ${context.replace('after', '').trim()} processing.`;
+  }
+  if (hookType === 'filter' && params.length > 0) {
+    return `Filters the ${params[0].name.replace(/_/g, ' ')} value.`;
+  }
+
+  return `${action} during ${context} processing.`;
+}
+
+/**
+ * Infer category/tags from hook name
+ */
+export function inferCategories(hookName) {
+  const categories = [];
+  const name = hookName.toLowerCase();
+
+  // Core categories
+  if (name.includes('entry') || name.includes('entries')) categories.push('entries');
+  if (name.includes('field')) categories.push('fields');
+  if (name.includes('search') || name.includes('filter')) categories.push('search');
+  if (name.includes('template') || name.includes('render')) categories.push('rendering');
+  if (name.includes('edit')) categories.push('editing');
+  if (name.includes('view')) categories.push('views');
+  if (name.includes('form')) categories.push('forms');
+  if (name.includes('widget')) categories.push('widgets');
+  if (name.includes('export')) categories.push('export');
+  if (name.includes('import')) categories.push('import');
+  if (name.includes('calendar') || name.includes('event')) categories.push('calendar');
+  if (name.includes('chart')) categories.push('charts');
+  if (name.includes('map') || name.includes('marker')) categories.push('maps');
+  if (name.includes('board') || name.includes('card') || name.includes('lane')) categories.push('kanban');
+  if (name.includes('approval') || name.includes('approve')) categories.push('approval');
+  if (name.includes('notification') || name.includes('email')) categories.push('notifications');
+  if (name.includes('permission') || name.includes('capability') || name.includes('access')) categories.push('permissions');
+  if (name.includes('admin')) categories.push('admin');
+  if (name.includes('frontend')) categories.push('frontend');
+  if (name.includes('api') || name.includes('rest')) categories.push('api');
+  if (name.includes('shortcode')) categories.push('shortcodes');
+  if (name.includes('script') || name.includes('style') || name.includes('css')) categories.push('assets');
+  if (name.includes('cache')) categories.push('caching');
+
+  // Timing categories
+  if (name.includes('before') || name.includes('pre_')) categories.push('before');
+  if (name.includes('after') || name.includes('post_')) categories.push('after');
+
+  return categories.length > 0 ? categories : ['general'];
+}
+
+/**
+ * Split a documented type like "array|\\WP_Post|null" into its parts
+ */
+function splitType(type = '') {
+  return type
+    .split(/\\?\|/)
+    .map((t) => t.trim().replace(/^\\/, '').toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * The types a value of a documented type can have at runtime, with aliases
+ * and typed arrays ("GF_Field[]") reduced to the PHP type
+ */
+function runtimeTypes(type = '') {
+  const aliases = { integer: 'int', boolean: 'bool', double: 'float' };
+  return [...new Set(splitType(type).map((t) => (t.endsWith('[]') ? 'array' : aliases[t] || t)))];
+}
+
+/**
+ * Whether every value of a documented type is also of another, so a
+ * parameter of the first type can be returned as the second
+ */
+function typeFitsWithin(type, within) {
+  const types = runtimeTypes(type);
+  const allowed = runtimeTypes(within);
+  return types.length > 0 && (allowed.includes('mixed') || types.every((t) => allowed.includes(t)));
+}
+
+/**
+ * Placeholder value of a PHP type, for filters whose return type doesn't match a parameter
+ */
+function defaultValueForType(type) {
+  const defaults = {
+    string: "''",
+    int: '0',
+    integer: '0',
+    float: '0.0',
+    bool: 'false',
+    boolean: 'false',
+    array: 'array()',
+    null: 'null',
+  };
+
+  const types = splitType(type);
+  const known = types.find((t) => defaults[t] !== undefined || t.endsWith('[]'));
+  if (!known) {
+    return 'null';
+  }
+  return known.endsWith('[]') ? 'array()' : defaults[known];
+}
+
+/**
+ * PHP type declaration for a documented type, or '' when it can't be declared
+ *
+ * Union types other than "type|null" are left undeclared so examples run on
+ * PHP 7.
+ */
+export function phpTypeHint(type = '') {
+  const aliases = { integer: 'int', boolean: 'bool', double: 'float' };
+  const scalars = ['string', 'int', 'float', 'bool', 'array', 'callable', 'iterable', 'object'];
+
+  const parts = type.split(/\\?\|/).map((t) => t.trim()).filter(Boolean);
+  const nullable = parts.some((t) => t.toLowerCase() === 'null');
+  const types = parts.filter((t) => t.toLowerCase() !== 'null');
+
+  if (types.length !== 1) {
+    return '';
+  }
+
+  const [typeName] = types;
+  const lower = aliases[typeName.toLowerCase()] || typeName.toLowerCase();
+
+  let hint = '';
+  if (typeName.endsWith('[]')) {
+    hint = 'array';
+  } else if (scalars.includes(lower)) {
+    hint = lower;
+  } else if (/^\\?[A-Za-z_][\w\\]*$/.test(typeName) && !['mixed', 'void', 'resource', 'false', 'true', 'self'].includes(lower)) {
+    // Class names are declared fully qualified
+    hint = typeName.startsWith('\\') ? typeName : `\\${typeName}`;
+  }
+
+  return hint && nullable ? `?${hint}` : hint;
+}
+
+/**
+ * Hook name to use in examples
+ *
+ * Dynamic segments are replaced with an uppercase placeholder to fill in,
+ * since a quoted '{$field_type}' would register the literal name.
+ */
+function exampleHookName(hookName, pattern) {
+  if (!pattern) {
+    return hookName;
+  }
+  return pattern.template.replace(/\{(\w+)\}/g, (match, name) => name.toUpperCase());
+}
+
+/**
+ * Generate the usage examples of a hook
+ *
+ * - closure: add_action()/add_filter() with an anonymous function
+ * - function: the same with a named function
+ * - method: registered from a class constructor
+ * - remove: removing the named function again
+ *
+ * Parameters get type declarations where their documented type allows,
+ * accepted_args matches the number of parameters and filters return the
+ * first parameter whose whole type fits their documented return type (or a
+ * placeholder of that type when none does). With `@return string`:
+ *
+ *   string $value          -> function( string $value ): string { return $value; }
+ *   string|null $value     -> function( ?string $value ): string { return ''; }
+ *   string|array $value    -> function( $value ): string { return ''; }
+ *
+ * Return types without a placeholder value aren't declared, since the
+ * example returns null: `@return \WP_Post` with an int parameter gives
+ * function( int $value ) { return null; }.
+ */
+export function generateExamples(hookName, hookType, params = [], returns = null, pattern = null) {
+  const addFunction = hookType === 'action' ? 'add_action' : 'add_filter';
+  const removeFunction = hookType === 'action' ? 'remove_action' : 'remove_filter';
+  const name = exampleHookName(hookName, pattern);
+
+  const args = params.map((p, i) => {
+    const variable = `$${p.name.replace(/\W/g, '') || `arg${i + 1}`}`;
+    const hint = phpTypeHint(p.type);
+    return { variable, type: p.type, declaration: hint ? `${hint} ${variable}` : variable };
+  });
+
+  const signature = args.length > 0 ? ` ${args.map((a) => a.declaration).join(', ')} ` : '';
+  let returnHint = hookType === 'filter' && returns?.type ? phpTypeHint(returns.type) : '';
+
+  // Explicit priority and accepted_args, so the callback receives every parameter
+  const registration = args.length > 0 ? `, 10, ${args.length}` : '';
+
+  let body;
+  if (hookType === 'action') {
+    body = '// Your code here';
+  } else {
+    // A parameter is only returned as-is when all of its type is allowed by
+    // the return type: a "string|null" parameter can't be returned as string
+    const returnArg = returns?.type
+      ? args.find((a) => typeFitsWithin(a.type, returns.type))
+      : args[0];
+
+    const placeholder = defaultValueForType(returns?.type);
+    body = returnArg
+      ? `// Modify ${returnArg.variable} as needed\nreturn ${returnArg.variable};`
+      : `// Return ${returns?.type || 'the filtered value'}\nreturn ${placeholder};`;
+
+    // Classes and other types without a placeholder value return null, which
+    // only a nullable declaration allows
+    if (!returnArg && placeholder === 'null' && !returnHint.startsWith('?')) {
+      returnHint = '';
+    }
+  }
+
+  const returnDeclaration = returnHint ? `: ${returnHint}` : '';
+
+  const indent = (code, level) => code.split('\n').map((line) => `${'    '.repeat(level)}${line}`).join('\n');
+
+  const baseName = name
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toLowerCase();
+  const functionName = `my_${baseName}`;
+
+  const note = pattern
+    ? `// Replace ${pattern.placeholders.map((p) => p.name.toUpperCase()).join(', ')} with the ${pattern.placeholders.map((p) => p.name).join(', ')} to target.\n`
+    : '';
+
+  return {
+    closure: `${note}${addFunction}( '${name}', function(${signature})${returnDeclaration} {
+${indent(body, 1)}
+}${registration} );`,
+
+    function: `${note}function ${functionName}(${signature})${returnDeclaration} {
+${indent(body, 1)}
+}
+${addFunction}( '${name}', '${functionName}'${registration} );`,
+
+    method: `class My_Plugin {
+    public function __construct() {
+${note ? `${indent(note.trimEnd(), 2)}\n` : ''}        ${addFunction}( '${name}', array( $this, '${baseName}' )${registration} );
+    }
+
+    public function ${baseName}(${signature})${returnDeclaration} {
+${indent(body, 2)}
+    }
+}`,
+
+    // The priority has to match the one the callback was added with
+    remove: `${note}${removeFunction}( '${name}', '${functionName}', 10 );`,
+  };
+}
+
+/**
+ * Save a product's hook records next to its generated pages
+ */
+export function writeHookModel(productDir, { product, build = null, hooks }) {
+  const model = {
+    version: HOOK_MODEL_VERSION,
+    generated: new Date().toISOString(),
+    product: {
+      id: product.id,
+      label: product.label,
+      repo: product.repo,
+    },
+    build,
+    hooks,
+  };
+
+  fs.mkdirSync(productDir, { recursive: true });
+  fs.writeFileSync(path.join(productDir, HOOK_MODEL_FILE), JSON.stringify(model, null, 2) + '\n');
+}
+
+/**
+ * Read the hook records saved by `npm run hooks:generate`
+ *
+ * Returns null when the product hasn't been generated, or was generated
+ * before the model existed or with an older model version.
+ */
+export function readHookModel(productDir) {
+  const modelPath = path.join(productDir, HOOK_MODEL_FILE);
+  if (!fs.existsSync(modelPath)) {
+    return null;
+  }
+
+  try {
+    const model = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+    return model.version === HOOK_MODEL_VERSION ? model : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Convert a parameter to its JSON API representation, keeping nested keys as `children`
+ */
+function toApiParameter({ name, type, description, optional, default: defaultValue, children }, formatText) {
+  return {
+    name,
+    type,
+    description: formatText(description),
+    optional,
+    default: defaultValue,
+    ...(children?.length > 0 ? { children: children.map((child) => toApiParameter(child, formatText)) } : {}),
+  };
+}
+
+/**
+ * Convert a hook record to its JSON API representation
+ *
+ * docsPath is the URL path the product's docs are served at; it differs from
+ * /docs/{product} when the product has versioned docs (see lib/versions.mjs).
+ */
+export function toApiHook(hook, docsPath = `/docs/${hook.product}`) {
+  // {@see}/{@link} references become markdown links, see doc-references.mjs
+  const hrefFor = (reference) => {
+    if (reference.product === hook.product && reference.kind === 'hook') {
+      return `${docsPath}/${reference.type}s/${reference.id}/`;
+    }
+    if (reference.product === hook.product && reference.kind === 'class') {
+      return `${docsPath}/classes/${reference.slug}/${reference.anchor ? `#${reference.anchor}` : ''}`;
+    }
+    return reference.url;
+  };
+  const formatText = (text) => linkReferences(text, hook.references, hrefFor);
+
+  const parameters = hook.parameters.map((parameter) => toApiParameter(parameter, formatText));
+
+  return {
+    id: hook.id,           // File ID for URL construction
+    name: hook.name,       // Actual hook name (e.g., "gk/gravityactions/after_modal_render")
+    pattern: hook.pattern, // Placeholders and regex for dynamic names, else null
+    type: hook.type,
+    product: hook.product,
+    description: formatText(hook.description) || generateDescription(hook.name, hook.type, parameters),
+    parameters,
+    returns: hook.returns ? { type: hook.returns.type, description: formatText(hook.returns.description) } : null,
+    categories: hook.categories,
+    example: hook.examples.closure, // Usage example code
+    examples: hook.examples,        // Closure, named function, class method and removal variants
+    since: formatText(hook.since[0]?.text) ?? null,
+    deprecated: Boolean(hook.deprecated),
+    deprecatedSince: hook.deprecated?.since ?? null,
+    replacement: hook.deprecated?.replacement ?? null,
+    source: hook.source ? { file: hook.source.file, line: hook.source.line } : null,
+    sourceUrl: hook.source?.url ?? null,
+    excerpt: hook.excerpt ?? undefined,  // Omitted from the JSON when excerpts are disabled
+    notes: formatText(hook.overlay?.notes) || undefined, // Hand-written, from content/hooks/
+    sections: hook.overlay?.sections.length
+      ? hook.overlay.sections.map((section) => ({ title: section.title, content: formatText(section.content) }))
+      : undefined,
+    references: hook.references?.length  // {@see}/{@link} targets, url null when unresolved
+      ? hook.references.map((reference) => ({ target: reference.target, kind: reference.kind, url: reference.kind ? hrefFor(reference) : null }))
+      : undefined,
+    url: `${docsPath}/${hook.type}s/${hook.id}/`,
+  };
+}
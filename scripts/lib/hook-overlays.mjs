@@ -0,0 +1,128 @@
+/**
+ * Hand-written Hook Content
+ *
+ * Generated docs are rebuilt from scratch on every run, so notes and examples
+ * written by hand live in an overlay directory instead:
+ *
+ *   content/hooks/{product}/{hook-id}.md
+ *
+ * Text before the first "## " heading is a note shown below the hook's
+ * description. Each "## " section is added to the page; an "Examples" section
+ * is shown above the generated examples, and a section named like one from
+ * the docblock is appended to it.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = path.resolve(__dirname, '..', '..');
+
+export const OVERLAYS_DIR = path.join(PROJECT_ROOT, 'content', 'hooks');
+
+/**
+ * Split an overlay into its note and "## " sections
+ *
+ * Headings inside fenced code blocks are left alone. A leading frontmatter
+ * block is ignored.
+ *
+ * @returns {{notes: string, sections: Array<{title: string, content: string}>}}
+ */
+export function parseOverlay(content) {
+  const lines = content
+    .replace(/\r\n/g, '\n')
+    .replace(/^---\n[\s\S]*?\n---(\n|$)/, '')
+    .split('\n');
+
+  const notes = [];
+  const sections = [];
+  let fence = null;
+
+  for (const line of lines) {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1].startsWith(fence)) {
+        fence = null;
+      }
+    }
+
+    const heading = !fence && line.match(/^##\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      sections.push({ title: heading[1], lines: [] });
+    } else if (sections.length > 0) {
+      sections[sections.length - 1].lines.push(line);
+    } else {
+      notes.push(line);
+    }
+  }
+
+  return {
+    notes: notes.join('\n').trim(),
+    sections: sections.map(({ title, lines: body }) => ({ title, content: body.join('\n').trim() })),
+  };
+}
+
+/**
+ * Load a product's overlays, keyed by hook id
+ *
+ * @returns {Map<string, {file: string, notes: string, sections: Array<{title: string, content: string}>}>}
+ *   `file` is relative to the project root.
+ */
+export function loadOverlays(productId, overlaysDir = OVERLAYS_DIR) {
+  const dir = path.join(overlaysDir, productId);
+  const overlays = new Map();
+
+  if (!fs.existsSync(dir)) {
+    return overlays;
+  }
+
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith('.md')).sort()) {
+    const filePath = path.join(dir, file);
+    overlays.set(path.basename(file, '.md'), {
+      file: path.relative(PROJECT_ROOT, filePath),
+      ...parseOverlay(fs.readFileSync(filePath, 'utf8')),
+    });
+  }
+
+  return overlays;
+}
+
+/**
+ * Attach overlays to the hooks they belong to, as `hook.overlay`
+ */
+export function applyOverlays(hooks, overlays) {
+  for (const hook of hooks) {
+    hook.overlay = overlays.get(hook.id) ?? null;
+  }
+}
+
+/**
+ * Find overlays whose hook no longer exists
+ *
+ * @returns {string[]} Overlay files, relative to the project root
+ */
+export function findOrphanOverlays(hooks, overlays) {
+  const ids = new Set(hooks.map((hook) => hook.id));
+
+  return [...overlays.entries()]
+    .filter(([id]) => !ids.has(id))
+    .map(([, overlay]) => overlay.file);
+}
+
+/**
+ * Contents of a product's overlays, for the build fingerprint
+ */
+export function readOverlayFiles(productId, overlaysDir = OVERLAYS_DIR) {
+  const dir = path.join(overlaysDir, productId);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter((f) => f.endsWith('.md'))
+    .sort()
+    .map((file) => `${file}\n${fs.readFileSync(path.join(dir, file), 'utf8')}`);
+}
@@ -0,0 +1,286 @@
+/**
+ * wp-hooks-documentor Output Parser
+ *
+ * Reads the markdown wp-hooks-documentor generates into hook records (see
+ * lib/hook-model.mjs). This is the only code that depends on the tool's
+ * output format; everything else works with the records.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseHookPattern } from './hook-patterns.mjs';
+import { generateExamples, inferCategories } from './hook-model.mjs';
+
+/**
+ * Find the hook a deprecation notice points to
+ *
+ * Matches phrasings like "Use `gravityview/foo` instead", "use the
+ * 'gravityview_foo' filter instead", "replaced by gravityview/foo" and
+ * "{@see 'gravityview/foo'}". Function references (foo()) are ignored.
+ */
+function findReplacementHook(text) {
+  const patterns = [
+    /\{@(?:see|link)\s+['"`]?([\w/.\-{}$]+?)['"`]?\s*\}/i,
+    /\b(?:use|replaced\s+(?:by|with)|see)\s+(?:the\s+)?[`'"]([\w/.\-{}$]+?)[`'"]/i,
+    /\buse\s+(?:the\s+)?([\w/.\-{}$]*[/_][\w/.\-{}$]*?)(?:\s+(?:action|filter|hook))?\s+instead\b/i,
+    /\breplaced\s+(?:by|with)\s+(?:the\s+)?([\w/\-{}$]*[/_][\w/.\-{}$]*)/i,
+  ];
+
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match && !/\(\)$/.test(match[1]) && !text.includes(`${match[1]}(`)) {
+      return match[1].replace(/\\([{}])/g, '$1').replace(/[.,;:]+$/, '');
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extract deprecation info from a hook markdown file
+ *
+ * Reads the "### Deprecated" section written for the `deprecated` custom
+ * field, falling back to a raw "@deprecated" tag left in the description.
+ */
+function parseDeprecation(content) {
+  const sectionMatch = content.match(/### Deprecated\n\n((?:[^#\n][^\n]*\n?)+)/);
+  const inlineMatch = content.match(/@deprecated\b([^\n|]*)/);
+
+  if (!sectionMatch && !inlineMatch) {
+    return { deprecated: false, since: null, replacement: null, note: null };
+  }
+
+  const note = (sectionMatch ? sectionMatch[1] : inlineMatch[1])
+    .split('\n')
+    .map((line) => line.replace(/^-\s*/, '').trim())
+    .filter(Boolean)
+    .join(' ');
+
+  const versionMatch = note.match(/^v?(\d+(?:\.\d+)*)\s*:?\s*/);
+
+  return {
+    deprecated: true,
+    since: versionMatch ? versionMatch[1] : null,
+    replacement: findReplacementHook(note),
+    note: (versionMatch ? note.slice(versionMatch[0].length) : note) || null,
+  };
+}
+
+/**
+ * Remove the markdown escaping wp-hooks-documentor applies: \{ \} \|
+ */
+function unescapeMarkdown(text) {
+  return text.replace(/\\([{}|])/g, '$1');
+}
+
+/**
+ * Split a markdown table row into cells, keeping escaped pipes
+ */
+function splitTableRow(row) {
+  return row
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map((cell) => unescapeMarkdown(cell.trim()));
+}
+
+/**
+ * Split the page body into the text before the first heading and its sections
+ */
+function splitSections(body) {
+  const sections = [];
+  let intro = '';
+  let current = null;
+
+  for (const line of body.split('\n')) {
+    const heading = line.match(/^(#{2,3}) (.+)$/);
+    if (heading) {
+      current = { level: heading[1].length, title: heading[2].trim(), lines: [] };
+      sections.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    } else {
+      intro += `${line}\n`;
+    }
+  }
+
+  return {
+    intro: intro.trim(),
+    sections: sections.map(({ lines, ...section }) => ({ ...section, content: lines.join('\n').trim() })),
+  };
+}
+
+/**
+ * Read the optional marker and default value from a parameter description
+ *
+ * Follows the WordPress docblock conventions: "Optional. The ID. Default 0."
+ */
+function parseParameterFlags(description) {
+  const defaultMatch = description.match(/\bDefaults?(?: to| is)?:?\s+(.+?)(?:\.(?=\s|$)|$)/i);
+
+  return {
+    optional: /^\s*Optional\b/i.test(description),
+    default: defaultMatch ? defaultMatch[1].trim() : null,
+  };
+}
+
+/**
+ * Parse the "## Parameters" table into a tree
+ *
+ * Keys of array parameters (WordPress hash notation) are listed after their
+ * parent with one ↳ marker per level; they become the parent's `children`.
+ */
+function parseParameters(content) {
+  const parameters = [];
+  const parents = [];
+
+  const rows = content
+    .split('\n')
+    .filter((line) => line.trim().startsWith('|'))
+    .slice(2)  // Header and separator rows
+    .map(splitTableRow)
+    .filter((cells) => cells.length >= 3);
+
+  for (const cells of rows) {
+    const depth = (cells[0].match(/↳/g) || []).length;
+    const parameter = {
+      // Remove the ↳ markers and $
+      name: cells[0].replace(/[↳$\s]/g, ''),
+      type: cells[1].replace(/`/g, ''),
+      description: cells[2],
+      ...parseParameterFlags(cells[2]),
+    };
+
+    // Attach to the closest preceding parameter one level up
+    const parent = parents[Math.min(depth, parents.length) - 1];
+    if (depth > 0 && parent) {
+      (parent.children ||= []).push(parameter);
+    } else {
+      parameters.push(parameter);
+    }
+
+    parents.length = Math.min(depth, parents.length);
+    parents.push(parameter);
+  }
+
+  return parameters;
+}
+
+/**
+ * Parse a "- item" list section
+ */
+function parseList(content) {
+  return content
+    .split('\n')
+    .map((line) => line.match(/^-\s*(.+)$/)?.[1].trim())
+    .filter(Boolean)
+    .map(unescapeMarkdown);
+}
+
+/**
+ * Parse a hook markdown file generated by wp-hooks-documentor
+ *
+ * @returns {import('./hook-model.mjs').HookRecord|null} null for index pages
+ */
+export function parseHookFile(filePath, productId, hookType) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const fileName = path.basename(filePath, '.md');
+
+  // Skip index files
+  if (fileName === 'index') return null;
+
+  // Extract frontmatter
+  const frontmatterMatch = content.match(/^---\n([\s\S]*?)\n---/);
+  const frontmatter = frontmatterMatch ? frontmatterMatch[1] : '';
+  const id = frontmatter.match(/^id:\s*(.+)$/m)?.[1].trim() || fileName;
+
+  // The heading has the actual hook name ("# Filter: gravityview/field/\{$field_type\}/output"),
+  // falling back to sidebar_label and then the id
+  const body = content.slice(frontmatterMatch ? frontmatterMatch[0].length : 0);
+  const headingMatch = body.match(/^# (?:Action|Filter):\s*(.+)$/m);
+  const sidebarMatch = frontmatter.match(/^sidebar_label:\s*["']?(.+?)["']?$/m);
+  const hookName = headingMatch
+    ? unescapeMarkdown(headingMatch[1].trim())
+    : sidebarMatch?.[1].trim() || id;
+
+  const afterHeading = headingMatch ? body.slice(headingMatch.index + headingMatch[0].length) : body;
+  const { intro, sections } = splitSections(afterHeading);
+  const section = (title) => sections.find((s) => s.title.toLowerCase() === title.toLowerCase());
+
+  // Description: first paragraph after the heading, the rest is the long description
+  const paragraphs = intro.split(/\n\s*\n/).map((p) => unescapeMarkdown(p.trim())).filter(Boolean);
+
+  const parameters = section('Parameters') ? parseParameters(section('Parameters').content) : [];
+
+  const since = parseList(section('Since')?.content || '').map((text) => ({
+    // Only plain version numbers become tags ("1.18: Added feature" -> "1.18")
+    version: text.match(/^([\d.]+)/)?.[1] || null,
+    text,
+  }));
+
+  const deprecation = parseDeprecation(section('Deprecated') ? `### Deprecated\n\n${section('Deprecated').content}\n` : intro);
+
+  const sourceMatch = section('Source')?.content.match(/Defined in `([^`]+)` at line (\d+)/);
+
+  let returns = null;
+  if (section('Returns')) {
+    const typeMatch = section('Returns').content.match(/^Type:\s*(.+)$/m);
+    returns = {
+      type: typeMatch ? typeMatch[1].replace(/`/g, '').trim() : '',
+      description: unescapeMarkdown(section('Returns').content.replace(/^Type:.*$/m, '').trim()),
+    };
+  }
+
+  const known = ['parameters', 'since', 'deprecated', 'source', 'returns'];
+  const pattern = parseHookPattern(hookName);
+
+  return {
+    id,
+    name: hookName,
+    type: hookType,
+    product: productId,
+    pattern,
+    description: paragraphs[0] || '',
+    longDescription: paragraphs.slice(1).join('\n\n'),
+    parameters,
+    returns,
+    since,
+    tags: [],
+    deprecated: deprecation.deprecated
+      ? { since: deprecation.since, replacement: deprecation.replacement, note: deprecation.note }
+      : null,
+    source: sourceMatch ? { file: sourceMatch[1], line: parseInt(sourceMatch[2], 10) } : null,
+    excerpt: null,
+    sections: sections.filter((s) => !known.includes(s.title.toLowerCase())),
+    categories: inferCategories(hookName),
+    examples: generateExamples(hookName, hookType, parameters, returns, pattern),
+  };
+}
+
+/**
+ * Parse every hook file in a wp-hooks-documentor output directory
+ *
+ * Accepts both the tool's layout (Actions/, Filters/) and lowercase names.
+ */
+export function parseHooksDir(hooksDir, productId) {
+  const hooks = [];
+
+  for (const hookType of ['action', 'filter']) {
+    const subdir = [`${hookType.charAt(0).toUpperCase()}${hookType.slice(1)}s`, `${hookType}s`]
+      .map((name) => path.join(hooksDir, name))
+      .find((dir) => fs.existsSync(dir));
+
+    if (!subdir) continue;
+
+    const files = fs.readdirSync(subdir).filter(f => f.endsWith('.md')).sort();
+    for (const file of files) {
+      const hook = parseHookFile(path.join(subdir, file), productId, hookType);
+      if (hook) {
+        hooks.push(hook);
+      }
+    }
+  }
+
+  return hooks;
+}
@@ -0,0 +1,115 @@
+/**
+ * Dynamic Hook Names
+ *
+ * Hooks whose names are built at runtime are documented with their dynamic
+ * segments in braces, e.g. `gravityview/field/{$field_type}/output`. This
+ * turns them into a pattern with named placeholders and a regex, so a
+ * concrete name such as `gravityview/field/address/output` can be resolved
+ * to the hook that documents it.
+ */
+
+const PLACEHOLDER_REGEX = /\{([^{}]+)\}/g;
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Name a placeholder after the last identifier of its PHP expression
+ *
+ * `$field_type` -> field_type, `$this->name` -> name, `$args['type']` -> type
+ */
+function placeholderName(expression) {
+  const identifiers = expression.match(/[A-Za-z_][A-Za-z0-9_]*/g);
+  return identifiers ? identifiers[identifiers.length - 1] : 'value';
+}
+
+/**
+ * Parse a documented hook name into a pattern
+ *
+ * @returns {{template: string, placeholders: Array<{name: string, expression: string}>, regex: string}|null}
+ *   null for hook names without dynamic segments. `regex` captures each
+ *   placeholder in a named group.
+ */
+export function parseHookPattern(hookName) {
+  if (!/\{[^{}]+\}/.test(hookName)) {
+    return null;
+  }
+
+  const placeholders = [];
+  const used = new Map();
+  let template = '';
+  let regex = '';
+  let lastIndex = 0;
+
+  for (const match of hookName.matchAll(PLACEHOLDER_REGEX)) {
+    const literal = hookName.slice(lastIndex, match.index);
+    const baseName = placeholderName(match[1]);
+
+    // Repeated names get a numeric suffix so every group name is unique
+    const count = (used.get(baseName) || 0) + 1;
+    used.set(baseName, count);
+    const name = count > 1 ? `${baseName}_${count}` : baseName;
+
+    placeholders.push({ name, expression: match[1].trim() });
+    template += `${literal}{${name}}`;
+    regex += `${escapeRegex(literal)}(?<${name}>.+?)`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  const rest = hookName.slice(lastIndex);
+
+  return {
+    template: template + rest,
+    placeholders,
+    regex: `^${regex}${escapeRegex(rest)}$`,
+  };
+}
+
+/**
+ * Create a function that tests whether a concrete hook name matches a documented one
+ */
+export function createHookMatcher(hookName) {
+  const pattern = parseHookPattern(hookName);
+  if (!pattern) {
+    return (name) => name === hookName;
+  }
+
+  const regex = new RegExp(pattern.regex);
+  return (name) => regex.test(name);
+}
+
+/**
+ * Number of literal characters in a pattern, used to prefer the most specific match
+ */
+function literalLength(pattern) {
+  return pattern.template.replace(PLACEHOLDER_REGEX, '').length;
+}
+
+/**
+ * Resolve a concrete hook name to the documented hooks it belongs to
+ *
+ * Exact matches come first, then dynamic hooks whose pattern matches, most
+ * specific first. Each result carries the placeholder `values` it matched.
+ *
+ * @param {string} name   Concrete hook name, e.g. "gravityview/field/address/output"
+ * @param {object[]} hooks Hooks with `name` and `pattern` (see hook-parser.mjs)
+ * @returns {Array<{hook: object, values: object}>}
+ */
+export function resolveHookName(name, hooks) {
+  const exact = hooks
+    .filter((hook) => hook.name === name)
+    .map((hook) => ({ hook, values: {} }));
+
+  const dynamic = hooks
+    .filter((hook) => hook.pattern && hook.name !== name)
+    .map((hook) => ({ hook, match: name.match(new RegExp(hook.pattern.regex)) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => literalLength(b.hook.pattern) - literalLength(a.hook.pattern))
+    .map(({ hook, match }) => ({ hook, values: { ...match.groups } }));
+
+  return [...exact, ...dynamic];
+}
@@ -0,0 +1,880 @@
+/**
+ * PHP API Extraction
+ *
+ * Reads the classes, interfaces, traits and enums declared in a product's PHP
+ * source, with their constants, properties, methods and docblocks. The class
+ * reference pages ({product docs dir}/classes/) are rendered from these
+ * records, and hook parameter types link to them. `npm run hooks:generate`
+ * saves the records to {product docs dir}/_classes.json.
+ *
+ * This is a scanner, not a full PHP parser: it knows enough of the syntax to
+ * find declarations and to skip strings, comments and function bodies.
+ * Private members are left out.
+ *
+ * @typedef {object} PhpParameter
+ * @property {string} name          Name without the leading $
+ * @property {string} type          From @param, else the declared type
+ * @property {string} description
+ * @property {string|null} default  Default value as written
+ *
+ * @typedef {object} PhpMethod
+ * @property {string} name
+ * @property {string} signature     Declaration as written, without the body
+ * @property {'public'|'protected'} visibility
+ * @property {boolean} static
+ * @property {boolean} abstract
+ * @property {string} description
+ * @property {string} longDescription
+ * @property {PhpParameter[]} parameters
+ * @property {{type: string, description: string}|null} returns From @return, else the declared type
+ * @property {Array<{version: string|null, text: string}>} since
+ * @property {{since: string|null, note: string|null}|null} deprecated
+ * @property {number} line
+ * @property {string} [url]         Line on GitHub
+ *
+ * @typedef {object} PhpClass
+ * @property {string} name          Fully qualified name, without the leading backslash
+ * @property {string} product       Product id
+ * @property {string} shortName
+ * @property {string} namespace     Empty for the global namespace
+ * @property {'class'|'interface'|'trait'|'enum'} kind
+ * @property {string[]} modifiers   abstract, final, readonly
+ * @property {string} slug          Page slug
+ * @property {string} signature     Declaration, e.g. "abstract class View extends Base"
+ * @property {string[]} extends     Parent class (interfaces: parents), as written
+ * @property {string[]} implements  As written
+ * @property {string[]} traits      As written
+ * @property {Object<string, string>} imports Lowercased `use` aliases of the file and
+ *   the names they import, to resolve the names above
+ * @property {string} description
+ * @property {string} longDescription
+ * @property {Array<{version: string|null, text: string}>} since
+ * @property {{since: string|null, note: string|null}|null} deprecated
+ * @property {Array<{name: string, value: string|null, description: string}>} constants
+ *   Constants, and cases of enums
+ * @property {Array<{name: string, type: string, visibility: string, static: boolean, default: string|null, description: string}>} properties
+ * @property {PhpMethod[]} methods
+ * @property {{file: string, line: number, url?: string, editUrl?: string}} source
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const CLASS_MODEL_FILE = '_classes.json';
+export const CLASS_MODEL_VERSION = 1;
+
+const DECLARATIONS = new Set(['class', 'interface', 'trait', 'enum']);
+const CLASS_MODIFIERS = new Set(['abstract', 'final', 'readonly']);
+const MEMBER_MODIFIERS = new Set(['abstract', 'final', 'public', 'protected', 'private', 'static', 'readonly', 'var']);
+const VISIBILITIES = new Set(['public', 'protected', 'private']);
+
+// Longest default value shown before it's shortened
+const MAX_VALUE_LENGTH = 80;
+
+/**
+ * Get directory names to skip from the directory globs in ignoreFiles
+ *
+ * Only "**\/name/**" globs are used, which covers vendor/, tests/ and the like.
+ */
+export function getIgnoredDirs(product, config) {
+  const globs = [...(config.defaults?.ignoreFiles || []), ...(product.ignoreFiles || [])];
+
+  return new Set(
+    globs
+      .map((glob) => glob.match(/^\*\*\/([^*/]+)\/\*\*$/))
+      .filter(Boolean)
+      .map((match) => match[1])
+  );
+}
+
+/**
+ * Find PHP files in a directory, skipping ignored directories
+ */
+export function findPhpFiles(dir, ignoredDirs) {
+  const results = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      if (!ignoredDirs.has(entry.name)) {
+        results.push(...findPhpFiles(fullPath, ignoredDirs));
+      }
+    } else if (entry.name.endsWith('.php')) {
+      results.push(fullPath);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Skip a bracketed span like an #[Attribute], from the index of its "["
+ */
+function skipBrackets(source, i) {
+  let depth = 0;
+
+  for (; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\'' || char === '"') {
+      for (i++; i < source.length && source[i] !== char; i++) {
+        if (source[i] === '\\') i++;
+      }
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']' && --depth === 0) {
+      return i + 1;
+    }
+  }
+
+  return i;
+}
+
+/**
+ * Split PHP source into tokens
+ *
+ * Tokens are { type: 'word'|'variable'|'string'|'number'|'doc'|'punct', text, start, end }.
+ * Comments other than docblocks, attributes and inline HTML are dropped; a
+ * closing ?> tag becomes a ";", as in PHP.
+ */
+function tokenize(source) {
+  const tokens = [];
+  const NAME = /[\\\w\x80-\uffff]+/y;
+  const NUMBER = /[\w.]+/y;
+  const LINE_END = /\n|\?>/g;
+  const HEREDOC = /<<<[ \t]*(['"]?)([A-Za-z_]\w*)\1\r?\n/y;
+  const OPERATORS = ['?->', '...', '::', '=>', '->', '??'];
+
+  let inPhp = false;
+  let i = 0;
+
+  const push = (type, start, text = source.slice(start, i)) => tokens.push({ type, text, start, end: i });
+  const readName = (regex, from) => {
+    regex.lastIndex = from;
+    regex.exec(source);
+    return regex.lastIndex;
+  };
+
+  while (i < source.length) {
+    if (!inPhp) {
+      const open = source.indexOf('<?', i);
+      if (open === -1) break;
+      i = open + (source.startsWith('<?php', open) ? 5 : source.startsWith('<?=', open) ? 3 : 2);
+      inPhp = true;
+      continue;
+    }
+
+    const start = i;
+    const char = source[i];
+    const next = source[i + 1] || '';
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '?' && next === '>') {
+      i += 2;
+      inPhp = false;
+      push('punct', start, ';');
+    } else if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2);
+      i = end === -1 ? source.length : end + 2;
+      if (source[start + 2] === '*' && i - start > 4) {
+        push('doc', start);
+      }
+    } else if (char === '#' && next === '[') {
+      i = skipBrackets(source, i + 1);
+    } else if (char === '#' || (char === '/' && next === '/')) {
+      // Line comments end at the line break or at a closing tag
+      LINE_END.lastIndex = i;
+      const end = LINE_END.exec(source);
+      i = end ? end.index : source.length;
+    } else if (char === '\'' || char === '"' || char === '`') {
+      for (i++; i < source.length && source[i] !== char; i++) {
+        if (source[i] === '\\') i++;
+      }
+      i++;
+      push('string', start);
+    } else if (source.startsWith('<<<', i)) {
+      HEREDOC.lastIndex = i;
+      const heredoc = HEREDOC.exec(source);
+      if (heredoc) {
+        const closing = new RegExp(`^[ \\t]*${heredoc[2]}\\b`, 'gm');
+        closing.lastIndex = i + heredoc[0].length;
+        const end = closing.exec(source);
+        i = end ? end.index + end[0].length : source.length;
+        push('string', start);
+      } else {
+        i++;
+        push('punct', start);
+      }
+    } else if (char === '$' && /[A-Za-z_\x80-\uffff]/.test(next)) {
+      i = readName(NAME, i + 1);
+      push('variable', start, source.slice(start + 1, i));
+    } else if (/[A-Za-z_\\\x80-\uffff]/.test(char)) {
+      i = readName(NAME, i);
+      push('word', start);
+    } else if (/\d/.test(char)) {
+      i = readName(NUMBER, i);
+      push('number', start);
+    } else {
+      const operator = OPERATORS.find((op) => source.startsWith(op, i));
+      i += operator ? operator.length : 1;
+      push('punct', start);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Blank out everything in PHP source that isn't code
+ *
+ * Comments, docblocks, attributes and inline HTML become spaces and heredocs
+ * an empty string, keeping line breaks so offsets and line numbers stay the
+ * same. Used to find calls with a regex without matching commented-out code.
+ */
+export function stripComments(source) {
+  const chars = source.replace(/[^\n]/g, ' ').split('');
+
+  for (const token of tokenize(source)) {
+    if (token.type === 'doc') continue;
+
+    if (token.type === 'string' && source.startsWith('<<<', token.start)) {
+      chars[token.start] = '\'';
+      chars[token.start + 1] = '\'';
+      continue;
+    }
+
+    for (let i = token.start; i < token.end; i++) {
+      chars[i] = source[i];
+    }
+  }
+
+  return chars.join('');
+}
+
+/**
+ * Index of the bracket closing the one at tokens[p]
+ */
+function findClosing(tokens, p) {
+  let depth = 0;
+
+  for (; p < tokens.length; p++) {
+    const { type, text } = tokens[p];
+    if (type !== 'punct') continue;
+
+    if (text === '(' || text === '[' || text === '{') {
+      depth++;
+    } else if ((text === ')' || text === ']' || text === '}') && --depth === 0) {
+      return p;
+    }
+  }
+
+  return tokens.length;
+}
+
+/**
+ * Index of the ";" ending the statement that starts at tokens[p], or of a
+ * "{" at its top level when stopAtBrace is set
+ */
+function findStatementEnd(tokens, p, stopAtBrace = false) {
+  for (; p < tokens.length; p++) {
+    const { type, text } = tokens[p];
+    if (type !== 'punct') continue;
+
+    if (text === ';' || (stopAtBrace && text === '{')) {
+      return p;
+    }
+    if (text === '(' || text === '[' || text === '{') {
+      p = findClosing(tokens, p);
+    }
+  }
+
+  return tokens.length;
+}
+
+/**
+ * Split tokens[from..to) at top-level commas into [start, end) ranges
+ */
+function splitTopLevel(tokens, from, to) {
+  const ranges = [];
+  let start = from;
+
+  for (let p = from; p < to; p++) {
+    const { type, text } = tokens[p];
+    if (type !== 'punct') continue;
+
+    if (text === '(' || text === '[' || text === '{') {
+      p = findClosing(tokens, p);
+    } else if (text === ',') {
+      ranges.push([start, p]);
+      start = p + 1;
+    }
+  }
+
+  if (start < to) {
+    ranges.push([start, to]);
+  }
+  return ranges;
+}
+
+/**
+ * Read a type at the start of docblock tag text, e.g. "array<string, int> $x"
+ *
+ * @returns {[string, string]} The type ('' when the text starts with the
+ *   variable) and the rest of the text
+ */
+function readDocType(text) {
+  if (/^(&|\.\.\.)?\$/.test(text)) {
+    return ['', text];
+  }
+
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if ('<({['.includes(char)) {
+      depth++;
+    } else if ('>)}]'.includes(char)) {
+      depth--;
+    } else if (/\s/.test(char) && depth <= 0) {
+      return [text.slice(0, i), text.slice(i).trim()];
+    }
+  }
+
+  return [text, ''];
+}
+
+/**
+ * Parse a docblock into its summary, description and the tags used in class pages
+ *
+ * @param {string|null} doc The docblock, including its /** and *\/
+ */
+export function parseDocblock(doc) {
+  const result = {
+    description: '',
+    longDescription: '',
+    params: {},
+    returns: null,
+    var: null,
+    since: [],
+    deprecated: null,
+  };
+  if (!doc) {
+    return result;
+  }
+
+  const lines = doc
+    .replace(/^\/\*\*+/, '')
+    .replace(/\*+\/$/, '')
+    .split(/\r?\n/)
+    .map((line) => line.replace(/^\s*(\* ?)?/, '').trimEnd());
+
+  const text = [];
+  const tags = [];
+  for (const line of lines) {
+    if (/^@\w/.test(line.trim())) {
+      tags.push(line.trim());
+    } else if (tags.length > 0) {
+      tags[tags.length - 1] += `\n${line}`;
+    } else {
+      text.push(line);
+    }
+  }
+
+  const [summary = '', ...paragraphs] = text.join('\n').trim().split(/\n\s*\n/);
+  result.description = summary.replace(/\s*\n\s*/g, ' ').trim();
+  result.longDescription = paragraphs.join('\n\n').trim();
+
+  for (const tag of tags) {
+    const [, name, body] = tag.match(/^@([\w-]+)\s*([\s\S]*)$/);
+    const value = body.replace(/\s*\n\s*/g, ' ').trim();
+
+    switch (name.toLowerCase()) {
+      case 'param': {
+        const [type, rest] = readDocType(value);
+        const param = rest.match(/^&?(?:\.\.\.)?\$(\w+)\s*([\s\S]*)$/);
+        if (param) {
+          result.params[param[1]] = { type, description: param[2] };
+        }
+        break;
+      }
+      case 'return':
+      case 'returns': {
+        const [type, description] = readDocType(value);
+        result.returns = { type, description };
+        break;
+      }
+      case 'var': {
+        const [type, rest] = readDocType(value);
+        result.var = { type, description: rest.replace(/^\$\w+\s*/, '') };
+        break;
+      }
+      case 'since':
+        result.since.push({ version: value.match(/^v?(\d+(?:\.\d+)*)/)?.[1] || null, text: value });
+        break;
+      case 'deprecated': {
+        const version = value.match(/^v?(\d+(?:\.\d+)*)\s*:?\s*/);
+        result.deprecated = {
+          since: version ? version[1] : null,
+          note: (version ? value.slice(version[0].length) : value) || null,
+        };
+        break;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Create a line number lookup for offsets in a source
+ */
+function createLineLookup(source) {
+  const lineStarts = [0];
+  for (let i = source.indexOf('\n'); i !== -1; i = source.indexOf('\n', i + 1)) {
+    lineStarts.push(i + 1);
+  }
+
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low + 1;
+  };
+}
+
+/**
+ * Read the names imported by a `use` statement into imports
+ *
+ * Handles aliases and group imports (use GV\{View, Entry as E};). Function
+ * and constant imports are skipped.
+ *
+ * @returns {number} Index of the statement's ";"
+ */
+function parseImports(tokens, p, imports) {
+  const end = findStatementEnd(tokens, p);
+  if (/^(function|const)$/i.test(tokens[p]?.text)) {
+    return end;
+  }
+
+  const text = tokens.slice(p, end).map((t) => t.text).join(' ');
+  const group = text.match(/^([\s\S]*?)\{([\s\S]*)\}$/);
+  const prefix = group ? group[1].replace(/\s+/g, '') : '';
+
+  for (const item of (group ? group[2] : text).split(',')) {
+    const [, name, alias] = item.trim().match(/^([\\\w]+)(?:\s+as\s+(\w+))?$/i) || [];
+    if (!name) continue;
+
+    const fullName = `${prefix}${name}`.replace(/^\\/, '');
+    imports[(alias || fullName.split('\\').pop()).toLowerCase()] = fullName;
+  }
+
+  return end;
+}
+
+/**
+ * Parse the members of a class body, tokens[from..to)
+ */
+function parseClassBody(tokens, from, to, { kind, source, lineAt }) {
+  const body = { constants: [], properties: [], methods: [], traits: [] };
+
+  const textOf = (start, end) => {
+    if (start >= end) {
+      return null;
+    }
+    const value = source.slice(tokens[start].start, tokens[end - 1].end).replace(/\s+/g, ' ').trim();
+    return value.length > MAX_VALUE_LENGTH ? `${value.slice(0, MAX_VALUE_LENGTH - 1)}…` : value;
+  };
+  const typeOf = (start, end) => tokens.slice(start, end).map((t) => t.text).join('');
+
+  let doc = null;
+  let modifiers = [];
+
+  for (let q = from; q < to; q++) {
+    const token = tokens[q];
+    const word = token.type === 'word' ? token.text.toLowerCase() : null;
+
+    if (token.type === 'doc') {
+      doc = token.text;
+      continue;
+    }
+    if (MEMBER_MODIFIERS.has(word)) {
+      modifiers.push(word);
+      continue;
+    }
+
+    const visibility = modifiers.find((m) => VISIBILITIES.has(m)) || 'public';
+    const docblock = parseDocblock(doc);
+    const documented = visibility !== 'private';
+
+    if (word === 'use') {
+      // Trait adaptations follow in braces: use A, B { A::x insteadof B; }
+      const end = findStatementEnd(tokens, q + 1, true);
+      body.traits.push(...tokens.slice(q + 1, end).filter((t) => t.type === 'word').map((t) => t.text));
+      q = tokens[end]?.text === '{' ? findClosing(tokens, end) : end;
+    } else if (word === 'const' || (word === 'case' && kind === 'enum')) {
+      const end = findStatementEnd(tokens, q + 1);
+      for (const [start, stop] of splitTopLevel(tokens, q + 1, end)) {
+        const equals = tokens.slice(start, stop).findIndex((t) => t.text === '=');
+        const nameIndex = equals === -1 ? stop - 1 : start + equals - 1;
+        if (documented && nameIndex >= start) {
+          body.constants.push({
+            name: tokens[nameIndex].text,
+            value: equals === -1 ? null : textOf(start + equals + 1, stop),
+            description: docblock.description || docblock.var?.description || '',
+          });
+        }
+      }
+      q = end;
+    } else if (word === 'function') {
+      let r = q + 1;
+      const byRef = tokens[r]?.text === '&';
+      if (byRef) r++;
+
+      const name = tokens[r]?.text;
+      const open = r + 1;
+      if (!name || tokens[open]?.text !== '(') {
+        doc = null;
+        modifiers = [];
+        continue;
+      }
+
+      const close = findClosing(tokens, open);
+      const parameters = [];
+      const signatureParameters = [];
+
+      for (const [start, stop] of splitTopLevel(tokens, open + 1, close)) {
+        // Constructor promotion modifiers aren't part of the type
+        let typeStart = start;
+        while (typeStart < stop && /^(public|protected|private|readonly)$/i.test(tokens[typeStart].text)) typeStart++;
+
+        const variable = tokens.slice(start, stop).findIndex((t) => t.type === 'variable') + start;
+        if (variable < start) continue;
+
+        let typeEnd = variable;
+        const variadic = tokens[typeEnd - 1]?.text === '...' && typeEnd - 1 >= typeStart;
+        if (variadic) typeEnd--;
+        const paramByRef = tokens[typeEnd - 1]?.text === '&' && typeEnd - 1 >= typeStart;
+        if (paramByRef) typeEnd--;
+
+        const paramName = tokens[variable].text;
+        const type = typeOf(typeStart, typeEnd);
+        const equals = tokens.slice(variable, stop).findIndex((t) => t.text === '=');
+        const defaultValue = equals === -1 ? null : textOf(variable + equals + 1, stop);
+        const paramDoc = docblock.params[paramName];
+
+        parameters.push({
+          name: paramName,
+          type: paramDoc?.type || type,
+          description: paramDoc?.description || '',
+          default: defaultValue,
+        });
+        signatureParameters.push(
+          `${type ? `${type} ` : ''}${paramByRef ? '&' : ''}${variadic ? '...' : ''}$${paramName}${defaultValue !== null ? ` = ${defaultValue}` : ''}`
+        );
+      }
+
+      let end = close + 1;
+      let returnType = '';
+      if (tokens[end]?.text === ':') {
+        const start = end + 1;
+        end = start;
+        while (end < to && tokens[end].text !== '{' && tokens[end].text !== ';') end++;
+        returnType = typeOf(start, end);
+      }
+
+      if (documented) {
+        const list = signatureParameters.length > 0 ? `( ${signatureParameters.join(', ')} )` : '()';
+        body.methods.push({
+          name,
+          signature: `${[...modifiers, 'function'].join(' ')} ${byRef ? '&' : ''}${name}${list}${returnType ? `: ${returnType}` : ''}`,
+          visibility,
+          static: modifiers.includes('static'),
+          abstract: modifiers.includes('abstract') || kind === 'interface',
+          description: docblock.description,
+          longDescription: docblock.longDescription,
+          parameters,
+          returns: docblock.returns?.type || returnType
+            ? { type: docblock.returns?.type || returnType, description: docblock.returns?.description || '' }
+            : null,
+          since: docblock.since,
+          deprecated: docblock.deprecated,
+          line: lineAt(token.start),
+        });
+      }
+
+      q = tokens[end]?.text === '{' ? findClosing(tokens, end) : end;
+    } else if (modifiers.length > 0) {
+      // Properties need at least one modifier: [modifiers] [type] $name [= value], ...;
+      const end = findStatementEnd(tokens, q);
+      const ranges = splitTopLevel(tokens, q, end);
+      const firstVariable = tokens.slice(q, end).findIndex((t) => t.type === 'variable') + q;
+      const type = firstVariable >= q ? typeOf(q, firstVariable) : '';
+
+      for (const [start, stop] of ranges) {
+        const variable = tokens.slice(start, stop).findIndex((t) => t.type === 'variable') + start;
+        if (!documented || variable < start) continue;
+
+        const equals = tokens.slice(variable, stop).findIndex((t) => t.text === '=');
+        body.properties.push({
+          name: tokens[variable].text,
+          type: docblock.var?.type || type,
+          visibility,
+          static: modifiers.includes('static'),
+          default: equals === -1 ? null : textOf(variable + equals + 1, stop),
+          description: docblock.description || docblock.var?.description || '',
+        });
+      }
+      q = end;
+    }
+
+    doc = null;
+    modifiers = [];
+  }
+
+  return body;
+}
+
+/**
+ * Read the classes, interfaces, traits and enums declared in a PHP file
+ *
+ * Anonymous classes are skipped; classes declared inside conditions or
+ * functions are included.
+ *
+ * @param {string} source PHP source
+ * @param {string} file   Path shown in the class pages, e.g. "./includes/class-view.php"
+ * @returns {PhpClass[]} Records without slugs
+ */
+export function parsePhpFile(source, file) {
+  const tokens = tokenize(source);
+  const lineAt = createLineLookup(source);
+  const classes = [];
+
+  let namespace = '';
+  let imports = {};
+  let doc = null;
+
+  for (let p = 0; p < tokens.length; p++) {
+    const token = tokens[p];
+    const word = token.type === 'word' ? token.text.toLowerCase() : null;
+    const previous = tokens[p - 1];
+
+    if (token.type === 'doc') {
+      doc = token.text;
+      continue;
+    }
+    if (CLASS_MODIFIERS.has(word)) {
+      continue;
+    }
+
+    if (word === 'namespace' && (tokens[p + 1]?.type === 'word' || tokens[p + 1]?.text === '{')) {
+      namespace = tokens[p + 1].type === 'word' ? tokens[p + 1].text.replace(/^\\/, '') : '';
+      imports = {};
+    } else if (word === 'use' && tokens[p + 1]?.text !== '(') {
+      p = parseImports(tokens, p + 1, imports);
+    } else if (
+      DECLARATIONS.has(word)
+      && tokens[p + 1]?.type === 'word'
+      && !['::', '->', '?->'].includes(previous?.text)
+      && previous?.text.toLowerCase() !== 'new'
+    ) {
+      const modifiers = [];
+      for (let m = p - 1; m >= 0 && CLASS_MODIFIERS.has(tokens[m].text.toLowerCase()); m--) {
+        modifiers.unshift(tokens[m].text.toLowerCase());
+      }
+
+      const shortName = tokens[p + 1].text;
+      const parents = { extends: [], implements: [] };
+      let list = null;
+      let backingType = '';
+
+      let q = p + 2;
+      for (; q < tokens.length && tokens[q].text !== '{'; q++) {
+        const part = tokens[q];
+        const keyword = part.type === 'word' ? part.text.toLowerCase() : null;
+
+        if (keyword === 'extends' || keyword === 'implements') {
+          list = parents[keyword];
+        } else if (part.type === 'word' && list) {
+          list.push(part.text);
+        } else if (part.text === ':' && tokens[q + 1]?.type === 'word') {
+          backingType = tokens[++q].text;
+        }
+      }
+      if (q >= tokens.length) break;
+
+      const close = findClosing(tokens, q);
+      const docblock = parseDocblock(doc);
+      const body = parseClassBody(tokens, q + 1, close, { kind: word, source, lineAt });
+
+      const signature = [
+        ...modifiers,
+        word,
+        `${shortName}${backingType ? `: ${backingType}` : ''}`,
+        parents.extends.length > 0 ? `extends ${parents.extends.join(', ')}` : '',
+        parents.implements.length > 0 ? `implements ${parents.implements.join(', ')}` : '',
+      ].filter(Boolean).join(' ');
+
+      classes.push({
+        name: namespace ? `${namespace}\\${shortName}` : shortName,
+        shortName,
+        namespace,
+        kind: word,
+        modifiers,
+        signature,
+        extends: parents.extends,
+        implements: parents.implements,
+        traits: body.traits,
+        imports: { ...imports },
+        description: docblock.description,
+        longDescription: docblock.longDescription,
+        since: docblock.since,
+        deprecated: docblock.deprecated,
+        constants: body.constants,
+        properties: body.properties,
+        methods: body.methods,
+        source: { file, line: lineAt(token.start) },
+      });
+
+      p = close;
+    }
+
+    doc = null;
+  }
+
+  return classes;
+}
+
+/**
+ * Read the classes declared in a product's source directory
+ *
+ * When a class is declared more than once (polyfills, conditional
+ * declarations), the first declaration by file path is kept. Each class gets
+ * a unique page slug, e.g. "GV\Template_Context" -> "gv-template-context".
+ *
+ * @param {string} inputDir
+ * @param {string} productId
+ * @param {Set<string>} ignoredDirs Directory names to skip, see getIgnoredDirs()
+ * @returns {PhpClass[]} Sorted by name
+ */
+export function extractClasses(inputDir, productId, ignoredDirs) {
+  const classes = [];
+  const names = new Set();
+  // index.md is the classes index
+  const slugs = new Set(['index']);
+
+  for (const filePath of findPhpFiles(inputDir, ignoredDirs).sort()) {
+    const file = `./${path.relative(inputDir, filePath).split(path.sep).join('/')}`;
+
+    for (const cls of parsePhpFile(fs.readFileSync(filePath, 'utf8'), file)) {
+      const key = cls.name.toLowerCase();
+      if (names.has(key)) continue;
+      names.add(key);
+
+      const base = key.replace(/[\\_\s]+/g, '-').replace(/[^a-z0-9-]/g, '');
+      let slug = base;
+      for (let n = 2; slugs.has(slug); n++) {
+        slug = `${base}-${n}`;
+      }
+      slugs.add(slug);
+
+      classes.push({ ...cls, product: productId, slug });
+    }
+  }
+
+  return classes.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Create a lookup of classes by name
+ *
+ * Names match case-insensitively, as in PHP. With a context (the namespace
+ * and imports of the file the name is written in) relative names resolve the
+ * way PHP resolves them. A name without a namespace also matches the only
+ * class with that short name, since docblocks often leave namespaces out.
+ *
+ * @param {PhpClass[]} classes
+ * @returns {(name: string, context?: {namespace: string, imports: object}) => PhpClass|null}
+ */
+export function createClassLookup(classes) {
+  const byName = new Map(classes.map((cls) => [cls.name.toLowerCase(), cls]));
+  const byShortName = new Map();
+  for (const cls of classes) {
+    const key = cls.shortName.toLowerCase();
+    byShortName.set(key, [...(byShortName.get(key) || []), cls]);
+  }
+
+  return (name, context = null) => {
+    const key = (name || '').toLowerCase();
+    if (!key) {
+      return null;
+    }
+    if (key.startsWith('\\')) {
+      return byName.get(key.slice(1)) ?? null;
+    }
+
+    if (context) {
+      const [first, ...rest] = key.split('\\');
+      const imported = context.imports?.[first];
+      if (imported) {
+        return byName.get([imported.toLowerCase(), ...rest].join('\\')) ?? null;
+      }
+      const relative = context.namespace && byName.get(`${context.namespace.toLowerCase()}\\${key}`);
+      if (relative) {
+        return relative;
+      }
+    }
+
+    if (byName.has(key)) {
+      return byName.get(key);
+    }
+    const matches = key.includes('\\') ? null : byShortName.get(key);
+    return matches?.length === 1 ? matches[0] : null;
+  };
+}
+
+/**
+ * Save a product's class records next to its generated pages
+ */
+export function writeClassModel(productDir, { product, build = null, classes }) {
+  const model = {
+    version: CLASS_MODEL_VERSION,
+    generated: new Date().toISOString(),
+    product: {
+      id: product.id,
+      label: product.label,
+      repo: product.repo,
+    },
+    build,
+    classes,
+  };
+
+  fs.mkdirSync(productDir, { recursive: true });
+  fs.writeFileSync(path.join(productDir, CLASS_MODEL_FILE), JSON.stringify(model, null, 2) + '\n');
+}
+
+/**
+ * Read the class records saved by `npm run hooks:generate`
+ *
+ * Returns null when the product hasn't been generated, or was generated
+ * with an older model version.
+ */
+export function readClassModel(productDir) {
+  const modelPath = path.join(productDir, CLASS_MODEL_FILE);
+  if (!fs.existsSync(modelPath)) {
+    return null;
+  }
+
+  try {
+    const model = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+    return model.version === CLASS_MODEL_VERSION ? model : null;
+  } catch {
+    return null;
+  }
+}
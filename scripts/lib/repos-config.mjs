@@ -0,0 +1,246 @@
+/**
+ * repos-config.json Loading and Validation
+ *
+ * Every script and docusaurus.config.js loads the configuration through
+ * loadReposConfig(), so a broken config is reported up front with precise
+ * messages instead of failing halfway through a build.
+ *
+ * Structure is checked against repos-config.schema.json (the subset of JSON
+ * Schema it uses); cross-references such as category ids are checked here.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = path.resolve(__dirname, '..', '..');
+
+export const CONFIG_PATH = path.join(PROJECT_ROOT, 'repos-config.json');
+export const SCHEMA_PATH = path.join(PROJECT_ROOT, 'repos-config.schema.json');
+
+/**
+ * Get the JSON type name of a value, distinguishing arrays, null and integers
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * Resolve a local "#/definitions/..." reference
+ */
+function resolveRef(ref, rootSchema) {
+  return ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, key) => node?.[key], rootSchema);
+}
+
+/**
+ * Validate a value against a schema node, collecting { path, message } errors
+ */
+function validateSchema(value, schema, rootSchema, at, errors) {
+  if (schema.$ref) {
+    validateSchema(value, resolveRef(schema.$ref, rootSchema), rootSchema, at, errors);
+    return;
+  }
+
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const matches = schema.type === actual || (schema.type === 'number' && actual === 'integer');
+    if (!matches) {
+      errors.push({ path: at, message: `must be of type ${schema.type}, got ${actual}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: 'must not be empty' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: `"${value}" does not match ${schema.pattern}` });
+    }
+  }
+
+  if ((actual === 'integer' || actual === 'number') && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.uniqueItems) {
+      const duplicates = value.filter((item, index) => value.indexOf(item) !== index);
+      if (duplicates.length > 0) {
+        errors.push({ path: at, message: `contains duplicates: ${[...new Set(duplicates)].join(', ')}` });
+      }
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        validateSchema(item, schema.items, rootSchema, `${at}[${index}]`, errors);
+      });
+    }
+  }
+
+  if (actual === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: at, message: `missing required property "${key}"` });
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertyPath = at ? `${at}.${key}` : key;
+
+      if (schema.propertyNames) {
+        validateSchema(key, schema.propertyNames, rootSchema, propertyPath, errors);
+      }
+
+      if (properties[key]) {
+        validateSchema(propertyValue, properties[key], rootSchema, propertyPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: propertyPath, message: 'is not an allowed property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateSchema(propertyValue, schema.additionalProperties, rootSchema, propertyPath, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Check references between products and categories
+ */
+function validateReferences(config, errors) {
+  const categories = config.categories || {};
+  const products = Array.isArray(config.products) ? config.products : [];
+
+  // Duplicate product ids
+  const seen = new Map();
+  products.forEach((product, index) => {
+    if (!product?.id) {
+      return;
+    }
+    if (seen.has(product.id)) {
+      errors.push({
+        path: `products[${index}].id`,
+        message: `duplicate product id "${product.id}" (also used by products[${seen.get(product.id)}])`,
+      });
+    } else {
+      seen.set(product.id, index);
+    }
+  });
+
+  // Unknown categories
+  products.forEach((product, index) => {
+    if (product?.category && !Object.hasOwn(categories, product.category)) {
+      errors.push({
+        path: `products[${index}].category`,
+        message: `unknown category "${product.category}"`,
+      });
+    }
+  });
+
+  for (const [id, category] of Object.entries(categories)) {
+    if (category?.parent && !Object.hasOwn(categories, category.parent)) {
+      errors.push({
+        path: `categories.${id}.parent`,
+        message: `unknown parent category "${category.parent}"`,
+      });
+    }
+  }
+
+  // Parent cycles, reported once per cycle
+  const reported = new Set();
+  for (const id of Object.keys(categories)) {
+    const chain = [];
+    let current = id;
+
+    while (current && Object.hasOwn(categories, current) && !chain.includes(current)) {
+      chain.push(current);
+      current = categories[current]?.parent;
+    }
+
+    if (current && chain.includes(current)) {
+      const cycle = chain.slice(chain.indexOf(current));
+      const key = [...cycle].sort().join(',');
+
+      if (!reported.has(key)) {
+        reported.add(key);
+        errors.push({
+          path: `categories.${current}.parent`,
+          message: `parent cycle: ${[...cycle, current].join(' → ')}`,
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Validate a parsed configuration
+ *
+ * @returns {Array<{path: string, message: string}>} Errors, empty when valid
+ */
+export function validateReposConfig(config, schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'))) {
+  const errors = [];
+
+  validateSchema(config, schema, schema, '', errors);
+  if (typeOf(config) === 'object') {
+    validateReferences(config, errors);
+  }
+
+  return errors;
+}
+
+/**
+ * Format validation errors as an indented list
+ */
+export function formatConfigErrors(errors) {
+  return errors
+    .map(({ path: at, message }) => `  - ${at || '(root)'}: ${message}`)
+    .join('\n');
+}
+
+/**
+ * Load and validate repos-config.json
+ *
+ * Throws an Error listing every problem found.
+ */
+export function loadReposConfig(configPath = CONFIG_PATH) {
+  const fileName = path.basename(configPath);
+
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Configuration file not found: ${configPath}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`${fileName} is not valid JSON: ${err.message}`);
+  }
+
+  const errors = validateReposConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`${fileName} has ${errors.length} error(s):\n${formatConfigErrors(errors)}`);
+  }
+
+  return config;
+}
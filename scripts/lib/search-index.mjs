@@ -0,0 +1,79 @@
+/**
+ * Hook Search Index
+ *
+ * Builds the prebuilt index used by the navbar hook search
+ * (src/components/HookSearch), so search works without Algolia.
+ */
+
+import { stripLinks } from './doc-references.mjs';
+
+// Weight of a token depending on the field it was found in
+export const FIELD_WEIGHTS = {
+  name: 10,
+  product: 4,
+  params: 3,
+  description: 2,
+};
+
+/**
+ * Split text into lowercase search tokens
+ * Keep in sync with tokenize() in src/components/HookSearch/search.js.
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token.length > 1);
+}
+
+/**
+ * Build the search index from the data collected by collectAllHooks()
+ *
+ * `docs` holds what's needed to display and filter a result. `index` maps
+ * each token to a flat [docIndex, weight, docIndex, weight, ...] list,
+ * where weight is the sum of the weights of the fields it appears in.
+ */
+export function buildSearchIndex(hooksData) {
+  const products = {};
+  for (const [id, info] of Object.entries(hooksData.products)) {
+    products[id] = info.label;
+  }
+
+  const docs = hooksData.hooks.map((hook) => ({
+    n: hook.name,
+    t: hook.type[0],
+    p: hook.product,
+    d: stripLinks(hook.description),
+    a: hook.parameters.map((p) => p.name),
+    u: hook.url,
+    r: hook.pattern?.regex,  // dynamic hooks only, see resolveHookName() in HookSearch/search.js
+  }));
+
+  const index = {};
+
+  hooksData.hooks.forEach((hook, docIndex) => {
+    const weights = new Map();
+    const addField = (text, weight) => {
+      for (const token of new Set(tokenize(text))) {
+        weights.set(token, (weights.get(token) || 0) + weight);
+      }
+    };
+
+    addField(hook.name, FIELD_WEIGHTS.name);
+    addField(`${hook.product} ${products[hook.product] || ''}`, FIELD_WEIGHTS.product);
+    addField(hook.parameters.map((p) => p.name).join(' '), FIELD_WEIGHTS.params);
+    addField(stripLinks(hook.description), FIELD_WEIGHTS.description);
+
+    for (const [token, weight] of weights) {
+      (index[token] ||= []).push(docIndex, weight);
+    }
+  });
+
+  return {
+    generated: hooksData.generated,
+    version: '1.0',
+    products,
+    docs,
+    index,
+  };
+}
@@ -0,0 +1,43 @@
+/**
+ * Markdown Templates
+ *
+ * Loads and renders the templates in templates/hooks/.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const TEMPLATES_DIR = path.resolve(__dirname, '..', '..', 'templates', 'hooks');
+
+/**
+ * Load a template file
+ */
+export function loadTemplate(name) {
+  const templatePath = path.join(TEMPLATES_DIR, `${name}.md`);
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(`Template not found: ${templatePath}`);
+  }
+  return fs.readFileSync(templatePath, 'utf8');
+}
+
+/**
+ * Render a template with variables
+ * Supports {{variable}} and {{#condition}}...{{/condition}} blocks
+ */
+export function renderTemplate(template, vars) {
+  let result = template;
+
+  // Handle conditional blocks: {{#condition}}...{{/condition}}
+  result = result.replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, key, content) => {
+    return vars[key] ? content : '';
+  });
+
+  // Handle simple variables: {{variable}}
+  result = result.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+    return vars[key] !== undefined ? vars[key] : match;
+  });
+
+  return result;
+}
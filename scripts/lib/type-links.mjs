@@ -0,0 +1,213 @@
+/**
+ * Type Links
+ *
+ * Links the class names in documented PHP types to their documentation,
+ * trying in order:
+ *
+ * 1. Classes discovered in the product's and the other products' source (their
+ *    class pages, see php-api.mjs)
+ * 2. Gravity Forms, WordPress and PHP classes from the bundled map below
+ * 3. The manual entries in type-links.json
+ *
+ * Types are split into the class names they contain, so union, intersection
+ * and nullable types and generics link too: `array|WP_Post`, `?GF_Field`,
+ * `GF_Field[]`, `array<int, WP_Post>`.
+ */
+
+const GRAVITY_FORMS_DOCS = 'https://docs.gravityforms.com';
+const WORDPRESS_DOCS = 'https://developer.wordpress.org/reference/classes';
+const PHP_DOCS = 'https://www.php.net/manual/en';
+
+// Gravity Forms field classes, documented at docs.gravityforms.com/{lowercase name}/
+const GRAVITY_FORMS_FIELDS = [
+  'GF_Field', 'GF_Field_Address', 'GF_Field_Calculation', 'GF_Field_Captcha', 'GF_Field_Checkbox',
+  'GF_Field_Consent', 'GF_Field_Date', 'GF_Field_Email', 'GF_Field_FileUpload', 'GF_Field_Hidden',
+  'GF_Field_HTML', 'GF_Field_List', 'GF_Field_MultiSelect', 'GF_Field_Name', 'GF_Field_Number',
+  'GF_Field_Page', 'GF_Field_Password', 'GF_Field_Phone', 'GF_Field_Product', 'GF_Field_Quantity',
+  'GF_Field_Radio', 'GF_Field_Section', 'GF_Field_Select', 'GF_Field_Shipping', 'GF_Field_Text',
+  'GF_Field_Textarea', 'GF_Field_Time', 'GF_Field_Total', 'GF_Field_Website',
+];
+
+// WordPress core classes, documented at developer.wordpress.org/reference/classes/{lowercase name}/
+const WORDPRESS_CLASSES = [
+  'wpdb', 'WP_Admin_Bar', 'WP_Ajax_Response', 'WP_Block', 'WP_Block_Type', 'WP_Comment', 'WP_Comment_Query',
+  'WP_Customize_Manager', 'WP_Date_Query', 'WP_Dependencies', 'WP_Embed', 'WP_Error', 'WP_Filesystem_Base',
+  'WP_Hook', 'WP_HTML_Tag_Processor', 'WP_Http', 'WP_Image_Editor', 'WP_List_Table', 'WP_Locale',
+  'WP_Meta_Query', 'WP_Object_Cache', 'WP_oEmbed', 'WP_Post', 'WP_Post_Type', 'WP_Query', 'WP_REST_Controller',
+  'WP_REST_Request', 'WP_REST_Response', 'WP_REST_Server', 'WP_Rewrite', 'WP_Role', 'WP_Roles', 'WP_Screen',
+  'WP_Scripts', 'WP_Site', 'WP_Styles', 'WP_Tax_Query', 'WP_Taxonomy', 'WP_Term', 'WP_Term_Query', 'WP_Theme',
+  'WP_Upgrader', 'WP_User', 'WP_User_Query', 'WP_Widget',
+];
+
+// PHP classes and interfaces, documented at php.net/manual/en/class.{lowercase name}.php
+const PHP_CLASSES = [
+  'ArrayAccess', 'ArrayIterator', 'ArrayObject', 'Closure', 'Countable', 'DateInterval', 'DateTime',
+  'DateTimeImmutable', 'DateTimeInterface', 'DateTimeZone', 'Error', 'Exception', 'Generator', 'Iterator',
+  'IteratorAggregate', 'JsonSerializable', 'stdClass', 'Throwable', 'Traversable',
+];
+
+/**
+ * Bundled documentation links for Gravity Forms, WordPress and PHP classes
+ */
+export const CORE_TYPE_LINKS = {
+  ...Object.fromEntries(GRAVITY_FORMS_FIELDS.map((name) => [name, `${GRAVITY_FORMS_DOCS}/${name.toLowerCase()}/`])),
+  GFAPI: `${GRAVITY_FORMS_DOCS}/api-functions/`,
+  GFFormsModel: `${GRAVITY_FORMS_DOCS}/gfformsmodel/`,
+  GFAddOn: `${GRAVITY_FORMS_DOCS}/gfaddon/`,
+  GFFeedAddOn: `${GRAVITY_FORMS_DOCS}/gffeedaddon/`,
+  GFPaymentAddOn: `${GRAVITY_FORMS_DOCS}/gfpaymentaddon/`,
+  ...Object.fromEntries(WORDPRESS_CLASSES.map((name) => [name, `${WORDPRESS_DOCS}/${name.toLowerCase()}/`])),
+  ...Object.fromEntries(PHP_CLASSES.map((name) => [name, `${PHP_DOCS}/class.${name.toLowerCase()}.php`])),
+};
+
+// Types that aren't class names
+const BUILTIN_TYPES = new Set([
+  'array', 'bool', 'boolean', 'callable', 'callback', 'double', 'false', 'float', 'int', 'integer',
+  'iterable', 'list', 'mixed', 'never', 'null', 'number', 'numeric', 'object', 'parent', 'resource',
+  'scalar', 'self', 'static', 'string', 'true', 'void',
+]);
+
+// Quoted literals, names (with $this and array shape keys like "id:" or "id?:" to skip)
+const TYPE_NAME_REGEX = /(['"]).*?\1|\$?\\?[A-Za-z_\x80-\uffff][\\\w\x80-\uffff-]*(\s*\??:(?!:))?/g;
+
+/**
+ * The class names in a type, in order and without duplicates
+ *
+ * Built-in types, literals, array shape keys (`array{id: int}`) and
+ * pseudo-types like `class-string` are left out.
+ */
+export function typeClassNames(type) {
+  const names = [];
+
+  for (const [text, quote, key] of (type || '').matchAll(TYPE_NAME_REGEX)) {
+    if (quote || key || text.startsWith('$')) continue;
+
+    const bare = text.replace(/^\\/, '');
+    if (bare.includes('-') || BUILTIN_TYPES.has(bare.toLowerCase())) continue;
+
+    if (!names.includes(text)) {
+      names.push(text);
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Create a resolver for the class names in types
+ *
+ * The resolver takes a name and, for names written in a class, that class's
+ * record, so relative names resolve against its namespace and imports.
+ *
+ * @param {object} options
+ * @param {Function} [options.findClass] Lookup of the classes with a page, see createClassLookup();
+ *   classes of another product have their page's `url` set
+ * @param {Object<string, string>} [options.manual] Name to URL map from type-links.json
+ * @returns {(name: string, context?: object) => {source: 'class'|'core'|'manual', product?: string, slug?: string, url?: string}|null}
+ */
+export function createTypeResolver({ findClass = () => null, manual = {} } = {}) {
+  // Class names are case-insensitive in PHP
+  const toLookup = (links) => new Map(Object.entries(links).map(([name, url]) => [name.replace(/^\\/, '').toLowerCase(), url]));
+  const core = toLookup(CORE_TYPE_LINKS);
+  const manualLinks = toLookup(manual);
+
+  return (name, context = null) => {
+    const cls = findClass(name, context);
+    if (cls) {
+      return { source: 'class', product: cls.product, slug: cls.slug, ...(cls.url ? { url: cls.url } : {}) };
+    }
+
+    const key = name.replace(/^\\/, '').toLowerCase();
+    if (core.has(key)) {
+      return { source: 'core', url: core.get(key) };
+    }
+    if (manualLinks.has(key)) {
+      return { source: 'manual', url: manualLinks.get(key) };
+    }
+    return null;
+  };
+}
+
+/**
+ * Resolve the class names in a type
+ *
+ * @returns {Array<{name: string, source?: string, product?: string, slug?: string, url?: string}>}
+ *   One entry per class name; unresolved names have no `source`
+ */
+export function resolveTypeRefs(type, resolve, context = null) {
+  return typeClassNames(type).map((name) => ({ name, ...resolve(name, context) }));
+}
+
+/**
+ * Split a type into its union alternatives, keeping generics and shapes whole
+ */
+function splitUnion(type) {
+  const alternatives = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of type) {
+    if ('<({['.includes(char)) {
+      depth++;
+    } else if ('>)}]'.includes(char)) {
+      depth--;
+    } else if (char === '|' && depth === 0) {
+      alternatives.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  return [...alternatives, current];
+}
+
+/**
+ * Format a type as inline code, linking the class names it contains
+ *
+ * Each alternative of a union links to the first class in it that resolved:
+ * `array|WP_Post` becomes `array`|[`WP_Post`](...), and `GF_Field[]` links
+ * as a whole.
+ *
+ * @param {string} type
+ * @param {object[]} [refs] resolveTypeRefs() of the type
+ * @param {(ref: object) => string|null} hrefFor Link of a resolved name
+ */
+export function formatType(type, refs, hrefFor) {
+  const links = new Map((refs || [])
+    .filter((ref) => ref.source)
+    .map((ref) => [ref.name, hrefFor(ref)])
+    .filter(([, href]) => href));
+
+  if (links.size === 0) {
+    return `\`${type}\``;
+  }
+
+  return splitUnion(type)
+    .map((alternative) => {
+      const href = typeClassNames(alternative).map((name) => links.get(name)).find(Boolean);
+      return href ? `[\`${alternative}\`](${href})` : `\`${alternative}\``;
+    })
+    .join('|');
+}
+
+/**
+ * Class names in a hook's parameter and return types that didn't resolve
+ *
+ * @returns {Array<{label: string, name: string}>} label is the parameter,
+ *   e.g. "$args['view']", or "@return"
+ */
+export function unresolvedTypes(hook) {
+  const fromParameters = (parameters, prefix = '') => parameters.flatMap((param) => {
+    const label = prefix ? `${prefix}['${param.name}']` : `$${param.name}`;
+    return [
+      ...(param.typeRefs || []).filter((ref) => !ref.source).map((ref) => ({ label, name: ref.name })),
+      ...fromParameters(param.children || [], label),
+    ];
+  });
+
+  return [
+    ...fromParameters(hook.parameters),
+    ...(hook.returns?.typeRefs || []).filter((ref) => !ref.source).map((ref) => ({ label: '@return', name: ref.name })),
+  ];
+}
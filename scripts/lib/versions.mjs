@@ -0,0 +1,100 @@
+/**
+ * Versioned Docs Helpers
+ *
+ * Products can list release tags in repos-config.json (`versions`). Each tag
+ * is generated into Docusaurus versioned docs for the product's docs plugin:
+ *
+ *   {id}_versioned_docs/version-{name}/
+ *   {id}_versioned_sidebars/version-{name}-sidebars.json
+ *   {id}_versions.json
+ *
+ * The latest stable version is served at /docs/{id}/ and the develop branch
+ * ("current" in Docusaurus) moves to /docs/{id}/develop/.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Path of the develop docs when a product has released versions
+export const CURRENT_VERSION_PATH = 'develop';
+
+/**
+ * Docusaurus version name for a release tag ("v2.30.1" -> "2.30.1")
+ */
+export function versionName(tag) {
+  return tag.replace(/^v(?=\d)/, '');
+}
+
+/**
+ * Whether a version is a stable release (no -beta, -rc... suffix)
+ */
+export function isStableVersion(name) {
+  return /^v?\d+(\.\d+)*$/.test(name);
+}
+
+/**
+ * Compare two version strings numerically, pre-releases before their release
+ */
+export function compareVersions(a, b) {
+  const parse = (version) => {
+    const match = version.replace(/^v/, '').match(/^(\d+(?:\.\d+)*)(.*)$/);
+    return match ? { parts: match[1].split('.').map(Number), suffix: match[2] } : { parts: [], suffix: version };
+  };
+
+  const versionA = parse(a);
+  const versionB = parse(b);
+
+  for (let i = 0; i < Math.max(versionA.parts.length, versionB.parts.length); i++) {
+    const diff = (versionA.parts[i] || 0) - (versionB.parts[i] || 0);
+    if (diff !== 0) return diff;
+  }
+
+  if (versionA.suffix === versionB.suffix) return 0;
+  if (!versionA.suffix) return 1;
+  if (!versionB.suffix) return -1;
+  return versionA.suffix.localeCompare(versionB.suffix);
+}
+
+/**
+ * Paths of a product's versioned docs files, relative to siteDir
+ */
+export function getVersionedPaths(siteDir, productId) {
+  return {
+    docsDir: path.join(siteDir, `${productId}_versioned_docs`),
+    sidebarsDir: path.join(siteDir, `${productId}_versioned_sidebars`),
+    versionsFile: path.join(siteDir, `${productId}_versions.json`),
+  };
+}
+
+/**
+ * Read the version names generated for a product, newest first
+ */
+export function readProductVersions(siteDir, productId) {
+  const { versionsFile } = getVersionedPaths(siteDir, productId);
+
+  if (!fs.existsSync(versionsFile)) {
+    return [];
+  }
+
+  try {
+    const versions = JSON.parse(fs.readFileSync(versionsFile, 'utf8'));
+    return Array.isArray(versions) ? versions : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * The version served by default: the newest stable one, or null for develop
+ */
+export function getLastStableVersion(versions) {
+  return [...versions].filter(isStableVersion).sort(compareVersions).pop() || null;
+}
+
+/**
+ * URL path of a product's develop docs, e.g. /docs/gravityview or /docs/gravityview/develop
+ */
+export function getCurrentDocsPath(siteDir, productId) {
+  const hasStable = getLastStableVersion(readProductVersions(siteDir, productId)) !== null;
+  return hasStable ? `/docs/${productId}/${CURRENT_VERSION_PATH}` : `/docs/${productId}`;
+}
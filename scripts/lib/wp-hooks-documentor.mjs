@@ -0,0 +1,121 @@
+/**
+ * wp-hooks-documentor Runner
+ *
+ * Shared helpers for running wp-hooks-documentor against a source
+ * directory and locating the markdown it generates.
+ */
+
+import { spawn, spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Check if wp-hooks-documentor is available (via npx for local install)
+ */
+export function checkWpHooksDocumentor() {
+  // Try running via npx which finds locally installed packages
+  const result = spawnSync('npx', ['wp-hooks-documentor', '--help'], {
+    encoding: 'utf8',
+    stdio: 'pipe',
+  });
+
+  // If no error running the command, the tool is available
+  if (!result.error && result.status === 0) {
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Build the wp-hooks-doc.json config for a product
+ */
+export function buildHooksConfig(product, config, inputDir) {
+  const hooksConfig = {
+    input: inputDir,  // Absolute path to source
+    outputDir: './output',  // Relative to temp work dir
+    title: product.label,
+    tagline: `Hooks documentation for ${product.label}`,
+    ignoreFiles: config.defaults?.ignoreFiles || [],
+    ignoreHooks: config.defaults?.ignoreHooks || [],
+    customFields: config.defaults?.customFields || {},
+    // Don't build the site, just generate markdown
+    skipBuild: true,
+    // Replace slashes with dashes in hook IDs for cleaner URLs
+    hookIdSlashReplacement: '-',
+  };
+
+  // Merge any product-specific overrides
+  if (product.ignoreFiles) {
+    hooksConfig.ignoreFiles = [...hooksConfig.ignoreFiles, ...product.ignoreFiles];
+  }
+  if (product.ignoreHooks) {
+    hooksConfig.ignoreHooks = [...hooksConfig.ignoreHooks, ...product.ignoreHooks];
+  }
+
+  return hooksConfig;
+}
+
+/**
+ * Run wp-hooks-documentor for a product's source directory
+ *
+ * The tool is run from workDir, which must exist and is left in place for
+ * the caller to clean up. On success, hooksDir points at the generated
+ * {Actions,Filters} markdown.
+ *
+ * With `buffered: true` the tool's stdout and stderr are captured into
+ * `output` instead of being written to the terminal.
+ */
+export function runWpHooksDocumentor(product, config, inputDir, workDir, { buffered = false } = {}) {
+  const outputDir = path.join(workDir, 'output');
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  // Create wp-hooks-doc.json in the work directory with RELATIVE paths
+  const hooksConfig = buildHooksConfig(product, config, inputDir);
+  fs.writeFileSync(path.join(workDir, 'wp-hooks-doc.json'), JSON.stringify(hooksConfig, null, 2));
+
+  return new Promise((resolve) => {
+    // Run wp-hooks-documentor via npx from the work directory
+    const proc = spawn('npx', ['wp-hooks-documentor', 'generate', '--skip-build'], {
+      cwd: workDir,
+      stdio: buffered ? 'pipe' : 'inherit',
+      shell: false,
+    });
+
+    let output = '';
+    if (buffered) {
+      proc.stdout.on('data', (data) => {
+        output += data.toString();
+      });
+      proc.stderr.on('data', (data) => {
+        output += data.toString();
+      });
+    }
+
+    proc.on('error', (err) => {
+      if (err.code === 'ENOENT') {
+        resolve({ ok: false, output, reason: 'wp-hooks-documentor not found. Run: npm install' });
+        return;
+      }
+      resolve({ ok: false, output, reason: err.message });
+    });
+
+    proc.on('close', (code) => {
+      if (code !== 0) {
+        resolve({ ok: false, output, reason: `Exit code ${code}` });
+        return;
+      }
+
+      // wp-hooks-documentor creates: output/docs/hooks/{Actions,Filters}
+      // Older versions write to output/hooks instead
+      const hooksDir = [path.join(outputDir, 'docs', 'hooks'), path.join(outputDir, 'hooks')]
+        .find((dir) => fs.existsSync(dir));
+
+      if (!hooksDir) {
+        resolve({ ok: false, output, reason: 'No hooks documentation was generated' });
+        return;
+      }
+
+      resolve({ ok: true, output, hooksDir });
+    });
+  });
+}
@@ -0,0 +1,534 @@
+#!/usr/bin/env node
+
+/**
+ * Lint Hook Documentation
+ *
+ * This script checks the docblocks of every documented hook, read from each
+ * product's hook model (docs/{product}/_hooks.json), and reports:
+ *
+ * - missing-description     No summary (the site falls back to generateDescription())
+ * - missing-since           No @since tag
+ * - untyped-parameter       A parameter or array key without a type
+ * - undocumented-parameter  A parameter or array key without a description
+ * - version-placeholder     A $ver$ placeholder left in the docblock
+ * - argument-count          @param tags don't match the arguments the call passes
+ * - unresolved-type         A class in a parameter or return type without a type link
+ *
+ * Products fail when they have more issues than allowed by `lintThresholds`
+ * in repos-config.json (per rule and/or in total), so the command can gate a
+ * build. Without thresholds issues are only reported.
+ *
+ * Usage:
+ *   npm run docs:lint                                   # All products
+ *   npm run docs:lint -- --product gravityview          # Single product (exact ID)
+ *   npm run docs:lint -- --format junit --output lint.xml
+ *   npm run docs:lint -- --strict                       # Fail on any issue
+ *
+ * Prerequisites:
+ *   - Docs generated via: npm run hooks:generate
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { readHookModel } from './lib/hook-model.mjs';
+import { loadReposConfig } from './lib/repos-config.mjs';
+import { unresolvedTypes } from './lib/type-links.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+
+const LINT_RULES = [
+  'missing-description',
+  'missing-since',
+  'untyped-parameter',
+  'undocumented-parameter',
+  'version-placeholder',
+  'argument-count',
+  'unresolved-type',
+];
+
+const FORMATS = ['text', 'json', 'junit'];
+
+// Issues listed per rule in text output, unless --verbose
+const TEXT_ISSUE_LIMIT = 10;
+
+// ANSI color codes
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  dim: '\x1b[2m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+// Progress goes to stderr when the report itself is printed to stdout
+let writeLog = console.log;
+
+function log(message, color = '') {
+  writeLog(`${color}${message}${colors.reset}`);
+}
+
+function logInfo(message) {
+  log(`ℹ️  ${message}`, colors.blue);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, colors.green);
+}
+
+function logWarning(message) {
+  log(`⚠️  ${message}`, colors.yellow);
+}
+
+function logError(message) {
+  log(`❌ ${message}`, colors.red);
+}
+
+function logStep(message) {
+  log(`\n${colors.bright}▶ ${message}${colors.reset}`);
+}
+
+/**
+ * Flatten parameters and their array keys, with a display path for each
+ *
+ * `$args` and its key `start` become "$args" and "$args['start']".
+ */
+function flattenParameters(parameters, prefix = '') {
+  return parameters.flatMap((param) => {
+    const label = prefix ? `${prefix}['${param.name}']` : `$${param.name}`;
+    return [{ param, label }, ...flattenParameters(param.children || [], label)];
+  });
+}
+
+/**
+ * Docblock texts that may contain a $ver$ placeholder, with where they came from
+ */
+function docblockTexts(hook) {
+  return [
+    ['description', hook.description],
+    ['description', hook.longDescription],
+    ...hook.since.map(({ text }) => ['@since', text]),
+    ['@deprecated', hook.deprecated?.since],
+    ['@deprecated', hook.deprecated?.note],
+    ...flattenParameters(hook.parameters).map(({ param, label }) => [label, param.description]),
+    ['@return', hook.returns?.description],
+  ].filter(([, text]) => text);
+}
+
+/**
+ * Check one hook against every rule
+ *
+ * @returns {Array<{rule: string, message: string}>}
+ */
+function lintHook(hook) {
+  const issues = [];
+  const add = (rule, message) => issues.push({ rule, message });
+
+  if (!hook.description) {
+    add('missing-description', 'No description');
+  }
+
+  if (hook.since.length === 0) {
+    add('missing-since', 'No @since tag');
+  }
+
+  for (const { param, label } of flattenParameters(hook.parameters)) {
+    if (!param.type) {
+      add('untyped-parameter', `${label} has no type`);
+    }
+    if (!param.description) {
+      add('undocumented-parameter', `${label} has no description`);
+    }
+  }
+
+  for (const [where, text] of docblockTexts(hook)) {
+    if (/\$ver\$/i.test(text)) {
+      add('version-placeholder', `$ver$ placeholder in ${where}`);
+    }
+  }
+
+  const passed = hook.source?.argumentCount;
+  if (typeof passed === 'number' && passed !== hook.parameters.length) {
+    add('argument-count', `Declares ${hook.parameters.length} @param tag(s), the call passes ${passed} argument(s)`);
+  }
+
+  for (const { label, name } of unresolvedTypes(hook)) {
+    add('unresolved-type', `${label}: no type link for ${name}`);
+  }
+
+  return issues;
+}
+
+/**
+ * Get a product's thresholds, its own overriding `defaults.lintThresholds`
+ */
+function getThresholds(product, config) {
+  return { ...config.defaults?.lintThresholds, ...product.lintThresholds };
+}
+
+/**
+ * Compare issue counts with thresholds
+ *
+ * @returns {string[]} Exceeded thresholds, e.g. "missing-since: 12 > 10"
+ */
+function checkThresholds(counts, total, thresholds, strict) {
+  const exceeded = [];
+
+  for (const [rule, max] of Object.entries(thresholds)) {
+    const count = rule === 'total' ? total : counts[rule] || 0;
+    if (count > max) {
+      exceeded.push(`${rule}: ${count} > ${max}`);
+    }
+  }
+
+  if (strict && total > 0 && exceeded.length === 0) {
+    exceeded.push(`total: ${total} > 0 (--strict)`);
+  }
+
+  return exceeded;
+}
+
+/**
+ * Number of hooks with at least one issue
+ */
+function countHooksWithIssues(issues) {
+  return new Set(issues.map((i) => `${i.type}:${i.id}`)).size;
+}
+
+/**
+ * Lint a product's hook model
+ */
+function lintProduct(product, config, options) {
+  const productDir = path.join(path.resolve(PROJECT_ROOT, config.outputDir), product.id);
+  const model = readHookModel(productDir);
+
+  if (!model) {
+    return {
+      ok: false,
+      id: product.id,
+      reason: `No hook model. Run: npm run hooks:generate -- --product ${product.id}`,
+    };
+  }
+
+  const issues = model.hooks.flatMap((hook) => lintHook(hook).map((issue) => ({
+    ...issue,
+    hook: hook.name,
+    type: hook.type,
+    id: hook.id,
+    file: hook.source?.file.replace(/^\.\//, '') ?? null,
+    line: hook.source?.line ?? null,
+  })));
+
+  const counts = Object.fromEntries(LINT_RULES.map((rule) => [rule, issues.filter((i) => i.rule === rule).length]));
+  const thresholds = getThresholds(product, config);
+  const exceeded = checkThresholds(counts, issues.length, thresholds, options.strict);
+
+  return {
+    ok: true,
+    id: product.id,
+    label: product.label,
+    hooks: model.hooks,
+    issues,
+    counts,
+    thresholds,
+    exceeded,
+    passed: exceeded.length === 0,
+  };
+}
+
+/**
+ * Escape text for XML attributes and content
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format results as a JSON report
+ */
+function formatJson(results) {
+  return JSON.stringify({
+    generated: new Date().toISOString(),
+    passed: results.every((r) => r.passed),
+    products: results.map((r) => ({
+      id: r.id,
+      label: r.label,
+      hooks: r.hooks.length,
+      hooksWithIssues: countHooksWithIssues(r.issues),
+      total: r.issues.length,
+      counts: r.counts,
+      thresholds: r.thresholds,
+      exceeded: r.exceeded,
+      passed: r.passed,
+      issues: r.issues,
+    })),
+  }, null, 2);
+}
+
+/**
+ * Format results as a JUnit report: a suite per product, a test case per hook
+ */
+function formatJunit(results) {
+  const totalHooks = results.reduce((sum, r) => sum + r.hooks.length, 0);
+  const totalFailures = results.reduce((sum, r) => sum + new Set(r.issues.map((i) => `${i.type}:${i.id}`)).size, 0);
+
+  const suites = results.map((r) => {
+    const cases = r.hooks.map((hook) => {
+      const issues = r.issues.filter((i) => i.type === hook.type && i.id === hook.id);
+      const location = hook.source
+        ? ` file="${escapeXml(hook.source.file.replace(/^\.\//, ''))}" line="${hook.source.line}"`
+        : '';
+      const open = `    <testcase classname="${escapeXml(`${r.id}.${hook.type}s`)}" name="${escapeXml(hook.name)}"${location}`;
+
+      if (issues.length === 0) {
+        return `${open} />`;
+      }
+
+      const details = issues.map((i) => `${i.rule}: ${i.message}`).join('\n');
+      return `${open}>\n      <failure type="docs-lint" message="${issues.length} issue(s)">${escapeXml(details)}</failure>\n    </testcase>`;
+    });
+
+    const failures = new Set(r.issues.map((i) => `${i.type}:${i.id}`)).size;
+    return `  <testsuite name="${escapeXml(r.id)}" tests="${r.hooks.length}" failures="${failures}">\n${cases.join('\n')}\n  </testsuite>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="docs:lint" tests="${totalHooks}" failures="${totalFailures}">
+${suites.join('\n')}
+</testsuites>`;
+}
+
+/**
+ * Print results as text, grouped by product and rule
+ */
+function printText(results, options) {
+  for (const r of results) {
+    const status = r.passed ? `${colors.green}passed${colors.reset}` : `${colors.red}failed${colors.reset}`;
+    log(`\n${colors.cyan}=== ${r.label} (${r.id}) ===${colors.reset} ${r.issues.length} issue(s) in ${countHooksWithIssues(r.issues)} of ${r.hooks.length} hooks, ${status}`);
+
+    for (const rule of LINT_RULES) {
+      const issues = r.issues.filter((i) => i.rule === rule);
+      if (issues.length === 0) continue;
+
+      const max = r.thresholds[rule] !== undefined ? ` (max ${r.thresholds[rule]})` : '';
+      log(`  ${colors.bright}${rule}${colors.reset}: ${issues.length}${max}`);
+
+      const shown = options.verbose ? issues : issues.slice(0, TEXT_ISSUE_LIMIT);
+      for (const issue of shown) {
+        const location = issue.file ? ` ${colors.dim}${issue.file}:${issue.line}${colors.reset}` : '';
+        log(`    ${issue.hook}: ${issue.message}${location}`);
+      }
+      if (shown.length < issues.length) {
+        log(`    ${colors.dim}…and ${issues.length - shown.length} more (use --verbose)${colors.reset}`);
+      }
+    }
+
+    r.exceeded.forEach((message) => logError(`Threshold exceeded: ${message}`));
+  }
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(args) {
+  const options = {
+    product: null,
+    format: 'text',
+    output: null,
+    strict: false,
+    verbose: false,
+    help: false,
+    list: false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--product' || arg === '-p') {
+      options.product = args[++i];
+    } else if (arg === '--format' || arg === '-f') {
+      options.format = args[++i];
+    } else if (arg === '--output' || arg === '-o') {
+      options.output = args[++i];
+    } else if (arg === '--strict') {
+      options.strict = true;
+    } else if (arg === '--verbose' || arg === '-v') {
+      options.verbose = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--list' || arg === '-l') {
+      options.list = true;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Print help message
+ */
+function printHelp() {
+  console.log(`
+${colors.bright}Lint Hook Documentation${colors.reset}
+
+${colors.cyan}Usage:${colors.reset}
+  npm run docs:lint [options]
+
+${colors.cyan}Options:${colors.reset}
+  --product, -p <id>    Lint a specific product only (exact ID match)
+  --format, -f <name>   Report format: text (default), json or junit
+  --output, -o <file>   Write the report to a file instead of stdout
+  --strict              Fail on any issue, regardless of thresholds
+  --verbose, -v         List every issue in text output
+  --list, -l            List all available product IDs
+  --help, -h            Show this help message
+
+${colors.cyan}Rules:${colors.reset}
+${LINT_RULES.map((rule) => `  ${rule}`).join('\n')}
+
+${colors.cyan}Thresholds:${colors.reset}
+  Set the number of issues allowed per rule, or in "total", with
+  "lintThresholds" in repos-config.json (in "defaults" or on a product).
+  The command exits with 1 when a product exceeds them.
+
+${colors.cyan}Examples:${colors.reset}
+  npm run docs:lint                                     # Report issues for all products
+  npm run docs:lint -- -p gravityview --verbose         # Every issue in GravityView
+  npm run docs:lint -- --format junit -o docs-lint.xml  # JUnit report for CI
+`);
+}
+
+/**
+ * Print list of available products
+ */
+function printProductList(products) {
+  console.log(`
+${colors.bright}Available Product IDs${colors.reset}
+
+${products.map((p) => `  ${colors.cyan}${p.id}${colors.reset} → ${p.label}`).join('\n')}
+
+${colors.dim}Use: npm run docs:lint -- --product <id>${colors.reset}
+`);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const options = parseArgs(args);
+
+  if (options.help) {
+    printHelp();
+    return 0;
+  }
+
+  if (!FORMATS.includes(options.format)) {
+    logError(`Unknown format: ${options.format} (use ${FORMATS.join(', ')})`);
+    return 1;
+  }
+
+  // Keep stdout clean for a report printed there
+  if (options.format !== 'text' && !options.output) {
+    writeLog = console.error;
+  }
+
+  logStep('Loading configuration');
+
+  let config;
+  try {
+    config = loadReposConfig();
+    logSuccess(`Loaded ${config.products.length} products from repos-config.json`);
+  } catch (err) {
+    logError(`Failed to load configuration: ${err.message}`);
+    return 1;
+  }
+
+  if (options.list) {
+    printProductList(config.products);
+    return 0;
+  }
+
+  // Filter products if specific one requested
+  let products = config.products;
+  if (options.product) {
+    products = products.filter((p) => p.id === options.product);
+
+    if (products.length === 0) {
+      logError(`No product found with ID: ${options.product}`);
+      logInfo('Use --list to see all available product IDs');
+      return 1;
+    }
+  }
+
+  logStep(`Linting hook docs for ${products.length} products`);
+
+  const all = products.map((product) => lintProduct(product, config, options));
+  const results = all.filter((r) => r.ok);
+  const missing = all.filter((r) => !r.ok);
+
+  if (options.format === 'text') {
+    printText(results, options);
+  }
+
+  if (options.format !== 'text' || options.output) {
+    const report = options.format === 'junit' ? formatJunit(results) : formatJson(results);
+
+    if (options.output) {
+      const outputPath = path.resolve(PROJECT_ROOT, options.output);
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      fs.writeFileSync(outputPath, report + '\n');
+      logInfo(`Report written to ${path.relative(PROJECT_ROOT, outputPath)}`);
+    } else {
+      console.log(report);
+    }
+  }
+
+  // Print summary
+  logStep('Summary');
+
+  const passed = results.filter((r) => r.passed);
+  const failed = results.filter((r) => !r.passed);
+  const total = results.reduce((sum, r) => sum + r.issues.length, 0);
+
+  const hooksWithIssues = results.reduce((sum, r) => sum + countHooksWithIssues(r.issues), 0);
+  logInfo(`Issues: ${total} in ${hooksWithIssues} of ${results.reduce((sum, r) => sum + r.hooks.length, 0)} hooks`);
+
+  if (passed.length > 0) {
+    logSuccess(`Passed: ${passed.length}`);
+  }
+
+  if (missing.length > 0) {
+    logWarning(`Not generated (skipped): ${missing.length}`);
+    if (options.product) {
+      missing.forEach((r) => log(`    ${r.id}: ${r.reason}`));
+    }
+  }
+
+  if (failed.length > 0) {
+    logError(`Failed: ${failed.length}`);
+    failed.forEach((r) => log(`    ${r.id}: ${r.exceeded.join(', ')}`));
+    log('');
+    return 1;
+  }
+
+  // A single product that was asked for by name has to exist
+  if (options.product && missing.length > 0) {
+    log('');
+    return 1;
+  }
+
+  log('');
+  return 0;
+}
+
+process.exit(await main());
@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+
+/**
+ * Cross-Reference Hook Listeners Across Products
+ *
+ * This script scans every cloned product repository for add_action() and
+ * add_filter() calls that target documented hooks, then:
+ *
+ * 1. Adds a "Used By" section to each hook page listing the listeners
+ * 2. Writes static/api/hooks/listeners.json, which llm:enhance merges into
+ *    the `listeners` array of each hook in the JSON API
+ *
+ * Usage:
+ *   npm run hooks:usage
+ *
+ * Prerequisites:
+ *   - Repos cloned via: npm run repos:clone
+ *   - Docs generated via: npm run hooks:generate
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { readHookModel } from './lib/hook-model.mjs';
+import { createHookMatcher } from './lib/hook-patterns.mjs';
+import { findPhpFiles, getIgnoredDirs, stripComments } from './lib/php-api.mjs';
+import { loadReposConfig } from './lib/repos-config.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const LISTENERS_PATH = path.join(PROJECT_ROOT, 'static', 'api', 'hooks', 'listeners.json');
+
+// ANSI colors
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+function log(message, color = '') {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+/**
+ * Read the top-level arguments of a function call
+ *
+ * `start` is the index just after the opening parenthesis. Nested
+ * parentheses, brackets and quoted strings are skipped over; the source is
+ * expected to have its comments stripped (see stripComments()).
+ */
+function readCallArgs(source, start) {
+  const args = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+
+    if (quote) {
+      current += char;
+      if (char === '\\') {
+        current += source[++i] || '';
+      } else if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+
+    if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      if (depth === 0) {
+        args.push(current.trim());
+        return args;
+      }
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      args.push(current.trim());
+      current = '';
+      continue;
+    }
+
+    current += char;
+  }
+
+  return null;
+}
+
+/**
+ * Find add_action()/add_filter() calls with a literal hook name in a file
+ *
+ * Calls in comments, docblock examples and heredocs aren't listeners.
+ */
+function scanFile(filePath) {
+  const source = stripComments(fs.readFileSync(filePath, 'utf8'));
+  const listeners = [];
+  const pattern = /\badd_(action|filter)\s*\(\s*(['"])([^'"]+)\2\s*,/g;
+
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const args = readCallArgs(source, match.index + match[0].length);
+    if (!args) continue;
+
+    const [callback, priority, acceptedArgs] = args;
+
+    listeners.push({
+      hook: match[3],
+      via: `add_${match[1]}`,
+      line: source.slice(0, match.index).split('\n').length,
+      callback: callback.replace(/\s+/g, ' ').slice(0, 120),
+      priority: priority ? (Number.isNaN(Number(priority)) ? priority : Number(priority)) : 10,
+      acceptedArgs: acceptedArgs && !Number.isNaN(Number(acceptedArgs)) ? Number(acceptedArgs) : 1,
+    });
+  }
+
+  return listeners;
+}
+
+/**
+ * Scan all cloned product repos for listeners
+ */
+function scanAllListeners(config) {
+  const reposDir = path.resolve(PROJECT_ROOT, config.reposDir);
+  const listeners = [];
+
+  for (const product of config.products) {
+    const repoDir = path.join(reposDir, product.repo.split('/')[1]);
+    const inputDir = product.srcDir ? path.join(repoDir, product.srcDir) : repoDir;
+    if (!fs.existsSync(inputDir)) continue;
+
+    for (const filePath of findPhpFiles(inputDir, getIgnoredDirs(product, config))) {
+      for (const listener of scanFile(filePath)) {
+        listeners.push({
+          ...listener,
+          product: product.id,
+          productLabel: product.label,
+          file: `./${path.relative(inputDir, filePath).split(path.sep).join('/')}`,
+        });
+      }
+    }
+  }
+
+  return listeners;
+}
+
+/**
+ * Render the "Used By" section for a hook page
+ */
+function renderUsedBySection(listeners) {
+  const lines = listeners.map((l) => {
+    const priority = l.priority !== 10 ? `, priority ${l.priority}` : '';
+    return `- [${l.productLabel}](/docs/${l.product}/): \`${l.file}\` at line ${l.line} (\`${l.via}\`${priority})`;
+  });
+
+  return `## Used By\n\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Add or replace the "Used By" section in a hook page
+ */
+function writeUsedBySection(filePath, listeners) {
+  let content = fs.readFileSync(filePath, 'utf8');
+
+  // Remove a section from a previous run so reruns stay idempotent
+  content = content.replace(/\n## Used By\n[\s\S]*?(?=\n## |$)/, '');
+
+  if (listeners.length > 0) {
+    content = `${content.trimEnd()}\n\n${renderUsedBySection(listeners)}`;
+  }
+
+  fs.writeFileSync(filePath, content);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  log('\n🔗 Cross-Referencing Hook Listeners\n', colors.bright);
+
+  let config;
+  try {
+    config = loadReposConfig();
+  } catch (err) {
+    log(`✗ Failed to load configuration: ${err.message}`, colors.red);
+    return 1;
+  }
+
+  const docsDir = path.resolve(PROJECT_ROOT, config.outputDir);
+
+  // Step 1: Collect documented hooks
+  log('▶ Collecting documented hooks...', colors.cyan);
+  const documented = [];
+  for (const product of config.products) {
+    const productDir = path.join(docsDir, product.id);
+    if (!fs.existsSync(productDir)) continue;
+
+    for (const hook of readHookModel(productDir)?.hooks ?? []) {
+      documented.push({
+        ...hook,
+        filePath: path.join(productDir, `${hook.type}s`, `${hook.id}.md`),
+        matches: createHookMatcher(hook.name),
+      });
+    }
+  }
+  log(`  Found ${documented.length} documented hooks`, colors.green);
+
+  // Step 2: Scan repos for listeners
+  log('\n▶ Scanning cloned repositories for add_action/add_filter calls...', colors.cyan);
+  const allListeners = scanAllListeners(config);
+  log(`  Found ${allListeners.length} listeners`, colors.green);
+
+  // Step 3: Match listeners to documented hooks
+  log('\n▶ Updating hook pages...', colors.cyan);
+  const listenersData = {
+    generated: new Date().toISOString(),
+    hooks: [],
+  };
+
+  for (const hook of documented) {
+    const listeners = allListeners
+      .filter((l) => hook.matches(l.hook))
+      .sort((a, b) => a.product.localeCompare(b.product) || a.file.localeCompare(b.file) || a.line - b.line);
+
+    writeUsedBySection(hook.filePath, listeners);
+
+    if (listeners.length > 0) {
+      listenersData.hooks.push({
+        product: hook.product,
+        type: hook.type,
+        name: hook.name,
+        listeners: listeners.map(({ productLabel, ...listener }) => listener),
+      });
+    }
+  }
+
+  fs.mkdirSync(path.dirname(LISTENERS_PATH), { recursive: true });
+  fs.writeFileSync(LISTENERS_PATH, JSON.stringify(listenersData, null, 2));
+
+  const products = new Set(listenersData.hooks.flatMap((h) => h.listeners.map((l) => l.product)));
+  log(`  ${listenersData.hooks.length} hooks have listeners in ${products.size} products`, colors.green);
+  log(`  Created: static/api/hooks/listeners.json`, colors.green);
+
+  log('\n✅ Hook usage cross-reference complete!\n', colors.bright + colors.green);
+
+  return 0;
+}
+
+process.exit(await main());
@@ -0,0 +1,137 @@
+import {useEffect, useRef, useState} from 'react';
+import clsx from 'clsx';
+import Link from '@docusaurus/Link';
+import {useHistory} from '@docusaurus/router';
+import useBaseUrl from '@docusaurus/useBaseUrl';
+
+import {searchHooks} from './search';
+import styles from './styles.module.css';
+
+const TYPE_LABELS = {a: 'Action', f: 'Filter'};
+
+// Navbar hook search backed by the prebuilt /api/hooks-search.json index.
+// Used as the `custom-hookSearch` navbar item, so it works without Algolia.
+export default function HookSearch({className, mobile}) {
+  const indexUrl = useBaseUrl('/api/hooks-search.json');
+  const history = useHistory();
+  const containerRef = useRef(null);
+
+  const [searchIndex, setSearchIndex] = useState(null);
+  const [loadError, setLoadError] = useState(false);
+  const [query, setQuery] = useState('');
+  const [product, setProduct] = useState('');
+  const [type, setType] = useState('');
+  const [open, setOpen] = useState(false);
+
+  // Load the index on first focus rather than on every page view
+  const loadIndex = () => {
+    if (searchIndex || loadError) {
+      return;
+    }
+
+    fetch(indexUrl)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(setSearchIndex)
+      .catch(() => setLoadError(true));
+  };
+
+  // Close the results panel when clicking outside of it
+  useEffect(() => {
+    const onClick = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', onClick);
+    return () => document.removeEventListener('mousedown', onClick);
+  }, []);
+
+  const results = searchHooks(searchIndex, query, {product, type});
+  const products = searchIndex ? Object.entries(searchIndex.products) : [];
+
+  const onKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      setOpen(false);
+    } else if (event.key === 'Enter' && results.length > 0) {
+      setOpen(false);
+      history.push(results[0].u);
+    }
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className={clsx(styles.hookSearch, mobile && styles.hookSearchMobile, className)}>
+      <input
+        type="search"
+        className={styles.input}
+        placeholder="Search hooks…"
+        aria-label="Search hooks"
+        value={query}
+        onFocus={() => {
+          loadIndex();
+          setOpen(true);
+        }}
+        onChange={(event) => {
+          setQuery(event.target.value);
+          setOpen(true);
+        }}
+        onKeyDown={onKeyDown}
+      />
+      {open && query.trim() !== '' && (
+        <div className={styles.panel}>
+          <div className={styles.filters}>
+            <select
+              aria-label="Filter by product"
+              value={product}
+              onChange={(event) => setProduct(event.target.value)}>
+              <option value="">All products</option>
+              {products.map(([id, label]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+            <select
+              aria-label="Filter by type"
+              value={type}
+              onChange={(event) => setType(event.target.value)}>
+              <option value="">Actions &amp; filters</option>
+              <option value="a">Actions</option>
+              <option value="f">Filters</option>
+            </select>
+          </div>
+          {loadError && <p className={styles.message}>The search index could not be loaded.</p>}
+          {!loadError && !searchIndex && <p className={styles.message}>Loading…</p>}
+          {searchIndex && results.length === 0 && (
+            <p className={styles.message}>No hooks match “{query}”.</p>
+          )}
+          <ul className={styles.results}>
+            {results.map((result) => (
+              <li key={result.u}>
+                <Link to={result.u} className={styles.result} onClick={() => setOpen(false)}>
+                  <code className={styles.name}>{result.n}</code>
+                  <span className={styles.meta}>
+                    {TYPE_LABELS[result.t]} · {searchIndex.products[result.p] || result.p}
+                  </span>
+                  {result.values && (
+                    <span className={styles.values}>
+                      {Object.entries(result.values).map(([name, value]) => (
+                        <code key={name}>{name} = {value}</code>
+                      ))}
+                    </span>
+                  )}
+                  {result.d && <span className={styles.description}>{result.d}</span>}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+/**
+ * Client-side ranking over the prebuilt index in /api/hooks-search.json
+ * (built by scripts/lib/search-index.mjs).
+ */
+
+/**
+ * Split text into lowercase search tokens
+ * Keep in sync with tokenize() in scripts/lib/search-index.mjs.
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token.length > 1);
+}
+
+/**
+ * Find dynamic hooks whose name pattern matches a concrete hook name
+ *
+ * Docs of dynamic hooks carry their pattern regex as `r`
+ * (see parseHookPattern() in scripts/lib/hook-patterns.mjs).
+ *
+ * @return {Map<number, object>} Placeholder values, keyed by doc index
+ */
+export function resolveHookName(searchIndex, name) {
+  const resolved = new Map();
+  const trimmed = String(name || '').trim();
+
+  if (!searchIndex || !trimmed || /\s/.test(trimmed)) {
+    return resolved;
+  }
+
+  searchIndex.docs.forEach((doc, docIndex) => {
+    const match = doc.r && trimmed.match(new RegExp(doc.r));
+    if (match) {
+      resolved.set(docIndex, {...match.groups});
+    }
+  });
+
+  return resolved;
+}
+
+/**
+ * Search the index for hooks matching every query token
+ *
+ * Tokens match index tokens exactly or as a prefix (at half weight).
+ * Exact and partial hook name matches are boosted. A concrete name such as
+ * "gravityview/field/address/output" also finds the dynamic hook it's an
+ * instance of, with the matched placeholder values as `values`.
+ */
+export function searchHooks(searchIndex, query, {product = '', type = '', limit = 10} = {}) {
+  const queryTokens = tokenize(query);
+  if (!searchIndex || queryTokens.length === 0) {
+    return [];
+  }
+
+  const resolved = resolveHookName(searchIndex, query);
+
+  const indexTokens = Object.keys(searchIndex.index);
+  const scores = new Map();
+  const matchedTokens = new Map();
+
+  queryTokens.forEach((queryToken) => {
+    indexTokens
+      .filter((token) => token.startsWith(queryToken))
+      .forEach((token) => {
+        const postings = searchIndex.index[token];
+        const factor = token === queryToken ? 1 : 0.5;
+
+        for (let i = 0; i < postings.length; i += 2) {
+          const docIndex = postings[i];
+          scores.set(docIndex, (scores.get(docIndex) || 0) + postings[i + 1] * factor);
+
+          if (!matchedTokens.has(docIndex)) {
+            matchedTokens.set(docIndex, new Set());
+          }
+          matchedTokens.get(docIndex).add(queryToken);
+        }
+      });
+  });
+
+  const normalizedQuery = query.trim().toLowerCase();
+
+  for (const docIndex of resolved.keys()) {
+    if (!scores.has(docIndex)) {
+      scores.set(docIndex, 0);
+    }
+  }
+
+  return [...scores.entries()]
+    .filter(([docIndex]) => resolved.has(docIndex)
+      || matchedTokens.get(docIndex).size === new Set(queryTokens).size)
+    .map(([docIndex, score]) => {
+      const doc = searchIndex.docs[docIndex];
+      const name = doc.n.toLowerCase();
+
+      let boost = 0;
+      if (name === normalizedQuery) {
+        boost = 100;
+      } else if (resolved.has(docIndex)) {
+        boost = 50;
+      } else if (name.includes(normalizedQuery)) {
+        boost = 20;
+      }
+
+      return {...doc, score: score + boost, values: resolved.get(docIndex)};
+    })
+    .filter((doc) => (!product || doc.p === product) && (!type || doc.t === type))
+    .sort((a, b) => b.score - a.score || a.n.localeCompare(b.n))
+    .slice(0, limit);
+}
@@ -0,0 +1,33 @@
+import {useActivePlugin, useVersions} from '@docusaurus/plugin-content-docs/client';
+import DocsVersionDropdownNavbarItem from '@theme/NavbarItem/DocsVersionDropdownNavbarItem';
+
+function ProductVersions({pluginId, ...props}) {
+  const versions = useVersions(pluginId);
+
+  // Unversioned products only have the develop ("current") version
+  if (versions.length <= 1) {
+    return null;
+  }
+
+  return (
+    <DocsVersionDropdownNavbarItem
+      docsPluginId={pluginId}
+      dropdownItemsBefore={[]}
+      dropdownItemsAfter={[]}
+      {...props}
+    />
+  );
+}
+
+// Version dropdown for whichever product's docs are being viewed.
+// Used as the `custom-productVersionDropdown` navbar item, so a single item
+// covers every product instead of one dropdown per docs plugin.
+export default function ProductVersionDropdown(props) {
+  const activePlugin = useActivePlugin({failfast: false});
+
+  if (!activePlugin) {
+    return null;
+  }
+
+  return <ProductVersions pluginId={activePlugin.pluginId} {...props} />;
+}
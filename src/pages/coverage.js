@@ -0,0 +1,208 @@
+import {Fragment, useEffect, useState} from 'react';
+import clsx from 'clsx';
+import Link from '@docusaurus/Link';
+import useBaseUrl from '@docusaurus/useBaseUrl';
+import Layout from '@theme/Layout';
+import Heading from '@theme/Heading';
+
+import styles from './coverage.module.css';
+
+// Below these percentages a metric is shown as needing work
+const LOW = 50;
+const HIGH = 80;
+
+function percent(counts, key) {
+  return counts.hooks > 0 ? (counts[key] / counts.hooks) * 100 : 0;
+}
+
+function formatPercent(value) {
+  return `${Math.round(value * 10) / 10}%`;
+}
+
+function formatDate(date) {
+  return date ? date.slice(0, 10) : '—';
+}
+
+function totals(products, metrics) {
+  const sum = {hooks: 0};
+  for (const {key} of metrics) {
+    sum[key] = 0;
+  }
+
+  for (const product of products) {
+    sum.hooks += product.hooks;
+    for (const {key} of metrics) {
+      sum[key] += product[key];
+    }
+  }
+  return sum;
+}
+
+// Change since the previous build, in percentage points
+function Delta({current, previous, metric}) {
+  if (!previous) {
+    return null;
+  }
+
+  const change = percent(current, metric) - percent(previous, metric);
+  if (Math.abs(change) < 0.05) {
+    return null;
+  }
+
+  return (
+    <span className={change > 0 ? styles.up : styles.down} title="Since the previous build">
+      {change > 0 ? '▲' : '▼'} {formatPercent(Math.abs(change))}
+    </span>
+  );
+}
+
+function MetricCell({counts, previous, metric}) {
+  const value = percent(counts, metric);
+  const level = value < LOW ? styles.low : value < HIGH ? styles.medium : styles.high;
+
+  return (
+    <td>
+      <div className={styles.cell}>
+        <span title={`${counts[metric]} of ${counts.hooks} hooks`}>{formatPercent(value)}</span>
+        <Delta current={counts} previous={previous} metric={metric} />
+      </div>
+      <div className={styles.bar}>
+        <div className={clsx(styles.fill, level)} style={{width: `${value}%`}} />
+      </div>
+    </td>
+  );
+}
+
+function History({product, metrics}) {
+  const entries = [...product.history].reverse();
+
+  return (
+    <table className={styles.history}>
+      <thead>
+        <tr>
+          <th>Built</th>
+          <th>Commit</th>
+          <th>Hooks</th>
+          {metrics.map(({key, label}) => <th key={key}>{label}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {entries.map((entry, index) => (
+          <tr key={`${entry.sha}-${index}`}>
+            <td>{formatDate(entry.date)}</td>
+            <td><code>{entry.sha ? entry.sha.slice(0, 7) : '—'}</code></td>
+            <td>{entry.hooks}</td>
+            {metrics.map(({key}) => <td key={key}>{formatPercent(percent(entry, key))}</td>)}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Coverage dashboard backed by /api/hooks-coverage.json (npm run llm:enhance)
+export default function Coverage() {
+  const dataUrl = useBaseUrl('/api/hooks-coverage.json');
+
+  const [data, setData] = useState(null);
+  const [loadError, setLoadError] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    fetch(dataUrl)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(setData)
+      .catch(() => setLoadError(true));
+  }, [dataUrl]);
+
+  const metrics = data ? data.metrics : [];
+  const products = data ? [...data.products].sort((a, b) => a.label.localeCompare(b.label)) : [];
+  const all = totals(products, metrics);
+
+  return (
+    <Layout
+      title="Documentation Coverage"
+      description="How completely the hooks of each GravityKit product are documented">
+      <main className={clsx('container', styles.coverage)}>
+        <Heading as="h1">Documentation Coverage</Heading>
+        <p>
+          The share of each product's hooks with a written description, a <code>@since</code> tag,
+          typed parameters and a hand-written example. Arrows show the change since the previous build.
+        </p>
+
+        {loadError && <p className={styles.message}>The coverage data could not be loaded.</p>}
+        {!loadError && !data && <p className={styles.message}>Loading…</p>}
+
+        {data && (
+          <>
+            <ul className={styles.legend}>
+              {metrics.map(({key, label, help}) => (
+                <li key={key}><strong>{label}:</strong> {help}</li>
+              ))}
+            </ul>
+            <div className={styles.tableWrapper}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th>Product</th>
+                    <th>Hooks</th>
+                    {metrics.map(({key, label}) => <th key={key}>{label}</th>)}
+                    <th>Trend</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {products.map((product) => {
+                    const previous = product.history[product.history.length - 2];
+                    const isExpanded = expanded === product.id;
+
+                    return (
+                      <Fragment key={product.id}>
+                        <tr>
+                          <td><Link to={product.url}>{product.label}</Link></td>
+                          <td>{product.hooks}</td>
+                          {metrics.map(({key}) => (
+                            <MetricCell key={key} counts={product} previous={previous} metric={key} />
+                          ))}
+                          <td>
+                            <button
+                              type="button"
+                              className={styles.linkButton}
+                              aria-expanded={isExpanded}
+                              onClick={() => setExpanded(isExpanded ? null : product.id)}>
+                              {product.history.length} build{product.history.length === 1 ? '' : 's'}
+                            </button>
+                          </td>
+                        </tr>
+                        {isExpanded && (
+                          <tr>
+                            <td colSpan={metrics.length + 3}>
+                              <History product={product} metrics={metrics} />
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
+                    );
+                  })}
+                </tbody>
+                <tfoot>
+                  <tr>
+                    <th>All products</th>
+                    <th>{all.hooks}</th>
+                    {metrics.map(({key}) => <MetricCell key={key} counts={all} metric={key} />)}
+                    <th />
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+            <p className={styles.message}>Generated {formatDate(data.generated)}.</p>
+          </>
+        )}
+      </main>
+    </Layout>
+  );
+}
@@ -0,0 +1,280 @@
+import {useEffect, useMemo, useState} from 'react';
+import clsx from 'clsx';
+import Link from '@docusaurus/Link';
+import {useHistory, useLocation} from '@docusaurus/router';
+import useBaseUrl from '@docusaurus/useBaseUrl';
+import Layout from '@theme/Layout';
+import Heading from '@theme/Heading';
+
+import styles from './hooks.module.css';
+
+const TYPE_LABELS = {a: 'Action', f: 'Filter'};
+
+// Filters and sorting kept in the URL query string, with their defaults
+const DEFAULT_STATE = {
+  q: '',
+  product: '',
+  type: '',
+  category: '',
+  since: '',
+  param: '',
+  sort: 'name',
+  dir: 'asc',
+};
+
+// Number of rows rendered before "Show more"
+const PAGE_SIZE = 200;
+
+function compareVersions(a, b) {
+  if (!a || !b) {
+    return a ? -1 : b ? 1 : 0;
+  }
+
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+const SORTERS = {
+  name: (a, b) => a.n.localeCompare(b.n),
+  type: (a, b) => a.t.localeCompare(b.t) || a.n.localeCompare(b.n),
+  product: (a, b) => a.p.localeCompare(b.p) || a.n.localeCompare(b.n),
+  since: (a, b) => compareVersions(a.s, b.s) || a.n.localeCompare(b.n),
+};
+
+function readState(search) {
+  const params = new URLSearchParams(search);
+  const state = {...DEFAULT_STATE};
+
+  for (const key of Object.keys(DEFAULT_STATE)) {
+    if (params.has(key)) {
+      state[key] = params.get(key);
+    }
+  }
+  if (!SORTERS[state.sort]) {
+    state.sort = DEFAULT_STATE.sort;
+  }
+  return state;
+}
+
+function writeState(state) {
+  const params = new URLSearchParams();
+
+  for (const [key, value] of Object.entries(state)) {
+    if (value !== DEFAULT_STATE[key]) {
+      params.set(key, value);
+    }
+  }
+  const search = params.toString();
+  return search ? `?${search}` : '';
+}
+
+function uniqueSorted(values, compare) {
+  return [...new Set(values.filter(Boolean))].sort(compare);
+}
+
+function filterHooks(hooks, state) {
+  const query = state.q.trim().toLowerCase();
+
+  return hooks.filter((hook) =>
+    (!query || hook.n.toLowerCase().includes(query) || (hook.d || '').toLowerCase().includes(query)) &&
+    (!state.product || hook.p === state.product) &&
+    (!state.type || hook.t === state.type) &&
+    (!state.category || hook.c.includes(state.category)) &&
+    (!state.since || hook.s === state.since) &&
+    (!state.param || hook.pt.includes(state.param)));
+}
+
+function SortableHeader({column, label, state, onSort}) {
+  const active = state.sort === column;
+  const arrow = active ? (state.dir === 'asc' ? ' ▲' : ' ▼') : '';
+
+  return (
+    <th aria-sort={active ? (state.dir === 'asc' ? 'ascending' : 'descending') : 'none'}>
+      <button type="button" className={styles.sortButton} onClick={() => onSort(column)}>
+        {label}{arrow}
+      </button>
+    </th>
+  );
+}
+
+function FilterSelect({label, value, options, onChange}) {
+  return (
+    <label className={styles.filter}>
+      <span>{label}</span>
+      <select value={value} onChange={(event) => onChange(event.target.value)}>
+        <option value="">All</option>
+        {options.map(([optionValue, optionLabel]) => (
+          <option key={optionValue} value={optionValue}>{optionLabel}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+// Hook explorer backed by /api/hooks-explorer.json (npm run llm:enhance)
+export default function Hooks() {
+  const dataUrl = useBaseUrl('/api/hooks-explorer.json');
+  const location = useLocation();
+  const history = useHistory();
+
+  const [data, setData] = useState(null);
+  const [loadError, setLoadError] = useState(false);
+  const [visible, setVisible] = useState(PAGE_SIZE);
+
+  const state = readState(location.search);
+
+  useEffect(() => {
+    fetch(dataUrl)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(setData)
+      .catch(() => setLoadError(true));
+  }, [dataUrl]);
+
+  const updateState = (changes) => {
+    setVisible(PAGE_SIZE);
+    history.replace({...location, search: writeState({...state, ...changes})});
+  };
+
+  const onSort = (column) => {
+    const dir = state.sort === column && state.dir === 'asc' ? 'desc' : 'asc';
+    updateState({sort: column, dir});
+  };
+
+  const hooks = data ? data.hooks : [];
+
+  // Facet options come from the hooks of the selected product, if any
+  const facets = useMemo(() => {
+    const scoped = hooks.filter((hook) => !state.product || hook.p === state.product);
+    return {
+      categories: uniqueSorted(scoped.flatMap((hook) => hook.c)),
+      versions: uniqueSorted(scoped.map((hook) => hook.s), (a, b) => compareVersions(b, a)),
+      paramTypes: uniqueSorted(scoped.flatMap((hook) => hook.pt)),
+    };
+  }, [hooks, state.product]);
+
+  const results = useMemo(() => {
+    const sorter = SORTERS[state.sort];
+    const filtered = filterHooks(hooks, state).sort(sorter);
+    return state.dir === 'desc' ? filtered.reverse() : filtered;
+  }, [hooks, location.search]);
+
+  const products = data ? Object.entries(data.products) : [];
+  const toOptions = (values) => values.map((value) => [value, value]);
+
+  return (
+    <Layout
+      title="Hook Explorer"
+      description="Browse and filter every action and filter across GravityKit products">
+      <main className={clsx('container', styles.explorer)}>
+        <Heading as="h1">Hook Explorer</Heading>
+        <p>Browse every action and filter across GravityKit products. Filters are saved in the URL, so you can share the results.</p>
+
+        <div className={styles.filters}>
+          <label className={clsx(styles.filter, styles.search)}>
+            <span>Search</span>
+            <input
+              type="search"
+              placeholder="Hook name or description…"
+              value={state.q}
+              onChange={(event) => updateState({q: event.target.value})}
+            />
+          </label>
+          <FilterSelect
+            label="Product"
+            value={state.product}
+            options={products}
+            onChange={(product) => updateState({product, category: '', since: '', param: ''})}
+          />
+          <FilterSelect
+            label="Type"
+            value={state.type}
+            options={Object.entries(TYPE_LABELS).map(([value, label]) => [value, `${label}s`])}
+            onChange={(type) => updateState({type})}
+          />
+          <FilterSelect
+            label="Category"
+            value={state.category}
+            options={toOptions(facets.categories)}
+            onChange={(category) => updateState({category})}
+          />
+          <FilterSelect
+            label="Since"
+            value={state.since}
+            options={toOptions(facets.versions)}
+            onChange={(since) => updateState({since})}
+          />
+          <FilterSelect
+            label="Parameter type"
+            value={state.param}
+            options={toOptions(facets.paramTypes)}
+            onChange={(param) => updateState({param})}
+          />
+        </div>
+
+        {loadError && <p className={styles.message}>The hook data could not be loaded.</p>}
+        {!loadError && !data && <p className={styles.message}>Loading…</p>}
+
+        {data && (
+          <>
+            <p className={styles.message}>
+              {results.length} of {hooks.length} hooks
+              {location.search && (
+                <>
+                  {' · '}
+                  <button type="button" className={styles.linkButton} onClick={() => history.replace({...location, search: ''})}>
+                    Clear filters
+                  </button>
+                </>
+              )}
+            </p>
+            <div className={styles.tableWrapper}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <SortableHeader column="name" label="Hook" state={state} onSort={onSort} />
+                    <SortableHeader column="type" label="Type" state={state} onSort={onSort} />
+                    <SortableHeader column="product" label="Product" state={state} onSort={onSort} />
+                    <SortableHeader column="since" label="Since" state={state} onSort={onSort} />
+                    <th>Description</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.slice(0, visible).map((hook) => (
+                    <tr key={hook.u}>
+                      <td><Link to={hook.u}><code className={styles.name}>{hook.n}</code></Link></td>
+                      <td>{TYPE_LABELS[hook.t]}</td>
+                      <td>{data.products[hook.p] || hook.p}</td>
+                      <td>{hook.s || '—'}</td>
+                      <td>{hook.d}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {results.length > visible && (
+              <button
+                type="button"
+                className="button button--secondary"
+                onClick={() => setVisible(visible + PAGE_SIZE)}>
+                Show more ({results.length - visible} remaining)
+              </button>
+            )}
+          </>
+        )}
+      </main>
+    </Layout>
+  );
+}
@@ -0,0 +1,170 @@
+/**
+ * Product catalog plugin.
+ *
+ * Builds the homepage product grid from repos-config.json: categories nested
+ * by `parent` and ordered by `position`, product metadata, and hook counts
+ * from the generated API. The result is exposed as global data and read with
+ * `usePluginData('product-catalog')`.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+
+import {loadReposConfig} from '../../scripts/lib/repos-config.mjs';
+
+/**
+ * Read hook counts per product from static/api/hooks/index.json (npm run llm:enhance).
+ *
+ * @param {string} siteDir Site directory.
+ *
+ * @return {Map<string, {actions: number, filters: number, total: number}>}
+ */
+function readApiHookCounts(siteDir) {
+  const indexPath = path.join(siteDir, 'static', 'api', 'hooks', 'index.json');
+  const counts = new Map();
+
+  if (!fs.existsSync(indexPath)) {
+    return counts;
+  }
+
+  try {
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    for (const product of index.products ?? []) {
+      counts.set(product.id, {actions: product.actions, filters: product.filters, total: product.total});
+    }
+  } catch {
+    // Fall back to counting the generated markdown files
+  }
+
+  return counts;
+}
+
+/**
+ * Count the generated hook pages of a product, for when the API hasn't been generated.
+ *
+ * @param {string} docsDir Product docs directory.
+ *
+ * @return {{actions: number, filters: number, total: number}}
+ */
+function countHookPages(docsDir) {
+  const countDir = (subdir) => {
+    const dir = path.join(docsDir, subdir);
+    if (!fs.existsSync(dir)) {
+      return 0;
+    }
+    return fs.readdirSync(dir).filter((file) => file.endsWith('.md') && file !== 'index.md').length;
+  };
+
+  const actions = countDir('actions');
+  const filters = countDir('filters');
+
+  return {actions, filters, total: actions + filters};
+}
+
+/**
+ * Build the category tree with products and hook counts.
+ *
+ * @param {string} siteDir      Site directory.
+ * @param {object} reposConfig  Parsed repos-config.json.
+ *
+ * @return {{categories: object[], totalProducts: number, totalHooks: number}}
+ */
+function buildCatalog(siteDir, reposConfig) {
+  const outputDir = path.resolve(siteDir, reposConfig.outputDir || './docs');
+  const apiCounts = readApiHookCounts(siteDir);
+  const configCategories = reposConfig.categories ?? {};
+
+  const categories = new Map(
+    Object.entries(configCategories).map(([id, category]) => [id, {
+      id,
+      label: category.label,
+      description: category.description || '',
+      position: category.position ?? Number.MAX_SAFE_INTEGER,
+      parent: category.parent || null,
+      products: [],
+      children: [],
+    }])
+  );
+
+  for (const product of reposConfig.products ?? []) {
+    if (!product?.id) {
+      continue;
+    }
+
+    const docsDir = path.join(outputDir, product.id);
+    const hasDocs = fs.existsSync(docsDir);
+
+    // Products without a known category are listed last
+    const categoryId = categories.has(product.category) ? product.category : 'other';
+
+    if (!categories.has(categoryId)) {
+      categories.set(categoryId, {
+        id: categoryId,
+        label: 'Other Products',
+        description: '',
+        position: Number.MAX_SAFE_INTEGER,
+        parent: null,
+        products: [],
+        children: [],
+      });
+    }
+
+    categories.get(categoryId).products.push({
+      id: product.id,
+      label: product.label || product.id,
+      description: product.description || '',
+      icon: product.icon || null,
+      link: `/docs/${product.id}/`,
+      hasDocs,
+      hooks: hasDocs ? apiCounts.get(product.id) ?? countHookPages(docsDir) : null,
+    });
+  }
+
+  const byPosition = (a, b) => a.position - b.position || a.label.localeCompare(b.label);
+  const roots = [];
+
+  for (const category of categories.values()) {
+    const parent = category.parent && categories.get(category.parent);
+    (parent ? parent.children : roots).push(category);
+  }
+
+  for (const category of categories.values()) {
+    category.children.sort(byPosition);
+  }
+
+  const products = [...categories.values()].flatMap((category) => category.products);
+
+  return {
+    categories: roots.sort(byPosition),
+    totalProducts: products.filter((product) => product.hasDocs).length,
+    totalHooks: products.reduce((sum, product) => sum + (product.hooks?.total ?? 0), 0),
+  };
+}
+
+/**
+ * @param {import('@docusaurus/types').LoadContext} context
+ *
+ * @return {import('@docusaurus/types').Plugin}
+ */
+export default function productCatalogPlugin(context) {
+  const configPath = path.join(context.siteDir, 'repos-config.json');
+
+  return {
+    name: 'product-catalog',
+
+    getPathsToWatch() {
+      return [
+        configPath,
+        path.join(context.siteDir, 'static', 'api', 'hooks', 'index.json'),
+      ];
+    },
+
+    async loadContent() {
+      const reposConfig = loadReposConfig(configPath);
+      return buildCatalog(context.siteDir, reposConfig);
+    },
+
+    async contentLoaded({content, actions}) {
+      actions.setGlobalData(content);
+    },
+  };
+}
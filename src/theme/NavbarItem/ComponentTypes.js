@@ -0,0 +1,10 @@
+import ComponentTypes from '@theme-original/NavbarItem/ComponentTypes';
+import HookSearch from '@site/src/components/HookSearch';
+import ProductVersionDropdown from '@site/src/components/ProductVersionDropdown';
+
+// Register custom navbar item types used in docusaurus.config.js
+export default {
+  ...ComponentTypes,
+  'custom-hookSearch': HookSearch,
+  'custom-productVersionDropdown': ProductVersionDropdown,
+};